@@ -5,7 +5,61 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   const viewer = new GCodeViewer(document.getElementById('viewer-container'));
-  const parser = new GCodeParser();
+
+  // Work offsets persist between sessions; G10 in a program only edits the parse copy
+  let workOffsets = createWorkOffsetTable();
+  try {
+    workOffsets = copyWorkOffsetTable(JSON.parse(localStorage.getItem('workOffsets')));
+  } catch (err) { /* fall back to all zeros */ }
+
+  let toolTable = {};
+  try {
+    toolTable = copyToolTable(JSON.parse(localStorage.getItem('toolTable')));
+  } catch (err) { /* start with no tools */ }
+
+  // Options handed to every parse (the worker builds its own GCodeParser)
+  const parserOptions = {
+    workOffsets: workOffsets,
+    toolTable: toolTable,
+    viewCoordinates: localStorage.getItem('viewCoordinates') || 'machine',
+    mode: localStorage.getItem('machineMode') || 'mill',
+    arcTolerance: 0.01,
+    arcMinSegments: 2,
+    arcMaxSegments: 512,
+    laserMaxPower: 1000,
+    rotaryAxis: 'none',
+    kinematicsType: 'none',
+    kinematicsAxes: 'AC',
+    pivotLength: 0,
+    dialect: 'auto',
+    customDialectText: '',
+    handlerScript: localStorage.getItem('handlerScript') || '',
+    parkBounds: 'exclude',
+    blockDelete: localStorage.getItem('blockDelete') === 'true'
+  };
+  try {
+    Object.assign(parserOptions, JSON.parse(localStorage.getItem('parserSettings')));
+  } catch (err) { /* keep defaults */ }
+  updateKinematics();
+  updateDialect();
+
+  // The five-axis settings make up the parser's kinematics option
+  function updateKinematics() {
+    parserOptions.kinematics = parserOptions.kinematicsType === 'none' ? null : {
+      type: parserOptions.kinematicsType,
+      axes: parserOptions.kinematicsAxes.toUpperCase().split(''),
+      pivotLength: parserOptions.pivotLength
+    };
+  }
+
+  // The custom dialect is edited as JSON; see resolveDialect
+  function updateDialect() {
+    try {
+      parserOptions.customDialect = parserOptions.customDialectText ? JSON.parse(parserOptions.customDialectText) : null;
+    } catch (err) {
+      parserOptions.customDialect = null;
+    }
+  }
 
   const pasteArea = document.getElementById('paste-area');
   const dropZone = document.getElementById('drop-zone');
@@ -15,72 +69,679 @@ document.addEventListener('DOMContentLoaded', () => {
   const resetBtn = document.getElementById('reset-view');
   const fileInput = document.getElementById('file-input');
   const statusMsg = document.getElementById('status-msg');
+  const statusText = document.getElementById('status-text');
+  const cancelParseBtn = document.getElementById('cancel-parse');
+  const machineInputs = document.querySelectorAll('[data-machine]');
+  const parserInputs = document.querySelectorAll('[data-parser]');
+  const legend = document.getElementById('legend');
+  const unitSelect = document.getElementById('unit-select');
+  const dro = document.getElementById('dro');
+  const coordSelect = document.getElementById('coord-select');
+  const modeSelect = document.getElementById('mode-select');
+  const latheViewSelect = document.getElementById('lathe-view');
+  const offsetsBody = document.getElementById('offsets-body');
+  const varInput = document.getElementById('var-input');
+  const offsetsZeroBtn = document.getElementById('offsets-zero');
+  const toolsBody = document.getElementById('tools-body');
+  const tblInput = document.getElementById('tbl-input');
+
+  // Geometry is always mm internally; only the display is converted
+  let displayUnits = localStorage.getItem('displayUnits') || 'mm';
+  let currentBounds = null;
+  let lastToolPosition = null;
+  unitSelect.value = displayUnits;
+  coordSelect.value = parserOptions.viewCoordinates;
+  modeSelect.value = parserOptions.mode;
+  latheViewSelect.value = localStorage.getItem('latheView') || 'profile';
+  latheViewSelect.classList.toggle('hidden', parserOptions.mode !== 'lathe');
+  viewer.setLatheView(latheViewSelect.value);
+
+  let machineConfig = DEFAULT_MACHINE_CONFIG;
+  try {
+    machineConfig = CycleTimeEstimator.mergeConfig(JSON.parse(localStorage.getItem('machineConfig')));
+  } catch (err) { /* fall back to defaults */ }
+  let lastResult = null;
+
+  // Last loaded program (as a Blob), kept so offset and view changes can re-parse it
+  let currentSource = null;
+  let currentName = null;
+
+  // In-flight worker parse: { worker, reject }
+  let parseJob = null;
+  let loadToken = 0;
 
   // Playback controls
   const playbackBar = document.getElementById('playback-bar');
   const playBtn = document.getElementById('play-btn');
   const restartBtn = document.getElementById('restart-btn');
   const showAllBtn = document.getElementById('show-all-btn');
+  const optionalStopBtn = document.getElementById('optional-stop-btn');
+  const blockDeleteBtn = document.getElementById('block-delete-btn');
   const speedSlider = document.getElementById('speed-slider');
   const speedLabel = document.getElementById('speed-label');
   const progressBar = document.getElementById('progress-bar');
   const progressFill = document.getElementById('progress-fill');
   const progressText = document.getElementById('progress-text');
+  const layerRow = document.getElementById('layer-row');
+  const layerSlider = document.getElementById('layer-slider');
+  const layerLabel = document.getElementById('layer-label');
+  const messagesToggle = document.getElementById('messages-toggle');
+  const messagesList = document.getElementById('messages-list');
 
-  function showStatus(msg, isError) {
-    statusMsg.textContent = msg;
+  let statusTimer = null;
+  function showStatus(msg, isError, persist) {
+    statusText.textContent = msg;
     statusMsg.style.color = isError ? '#ff4444' : '#44dd88';
     statusMsg.style.display = 'block';
-    if (!isError) setTimeout(() => { statusMsg.style.display = 'none'; }, 3000);
+    clearTimeout(statusTimer);
+    if (!isError && !persist) statusTimer = setTimeout(() => { statusMsg.style.display = 'none'; }, 3000);
+  }
+
+  function formatLength(mm) {
+    return displayUnits === 'in' ? (mm / 25.4).toFixed(4) : mm.toFixed(2);
+  }
+
+  function updateSizeStat() {
+    if (!currentBounds) return;
+    const b = currentBounds;
+    document.getElementById('stat-bounds').textContent =
+      formatLength(b.max.x - b.min.x) + ' x ' +
+      formatLength(b.max.y - b.min.y) + ' x ' +
+      formatLength(b.max.z - b.min.z) + ' ' + displayUnits;
+  }
+
+  function updateDro() {
+    if (!lastToolPosition) return;
+    const p = lastToolPosition;
+    dro.textContent = 'X ' + formatLength(p.x) + '  Y ' + formatLength(p.y) + '  Z ' + formatLength(p.z);
+    dro.classList.remove('hidden');
+  }
+
+  // One legend entry per tool that cuts; clicking hides or shows its toolpath
+  function buildToolLegend() {
+    legend.querySelectorAll('.legend-tool').forEach(el => el.remove());
+    const tools = [...viewer.toolColors.keys()];
+    const hasTools = tools.some(tool => tool > 0);
+    legend.querySelector('.legend-cut').style.display = hasTools ? 'none' : '';
+    if (!hasTools) return;
+
+    for (const tool of tools) {
+      const item = document.createElement('span');
+      item.className = 'legend-item legend-tool';
+      // Printer extruders count from T0
+      item.textContent = tool > 0 || parserOptions.mode === 'printer' ? 'T' + tool : 'No tool';
+      if (toolTable[tool]?.description) item.title = toolTable[tool].description;
+      item.style.setProperty('--swatch', '#' + viewer.toolColors.get(tool).toString(16).padStart(6, '0'));
+      item.addEventListener('click', () => {
+        const hidden = item.classList.toggle('off');
+        viewer.setToolVisible(tool, !hidden);
+      });
+      legend.appendChild(item);
+    }
+  }
+
+  // Clicking the rapid legend entry hides or shows travel moves
+  const rapidLegend = legend.querySelector('.legend-rapid');
+  rapidLegend.addEventListener('click', () => {
+    viewer.setTravelVisible(!rapidLegend.classList.toggle('off'));
+  });
+
+  const axisLegend = legend.querySelector('.legend-axis');
+  axisLegend.addEventListener('click', () => {
+    viewer.setToolAxesVisible(!axisLegend.classList.toggle('off'));
+  });
+
+  const parkLegend = legend.querySelector('.legend-park');
+  parkLegend.addEventListener('click', () => {
+    viewer.setParkVisible(!parkLegend.classList.toggle('off'));
+  });
+
+  function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const pad = (n) => String(n).padStart(2, '0');
+    return h ? h + 'h ' + pad(m) + 'm ' + pad(s % 60) + 's' : m + 'm ' + pad(s % 60) + 's';
+  }
+
+  function estimateCycleTime() {
+    return new CycleTimeEstimator(machineConfig).estimate(lastResult.segments, lastResult.toolChanges);
+  }
+
+  // Also rescales M4 laser burns, whose power follows the planned speed
+  function updateTimeStat(estimate) {
+    if (!lastResult) return;
+    if (!estimate) {
+      estimate = estimateCycleTime();
+      viewer.setDynamicPower(estimate.speedRatio);
+    }
+    let text = formatDuration(estimate.total);
+    const tools = [...estimate.byTool.keys()].filter(tool => tool > 0);
+    if (tools.length > 1) {
+      text += ' (' + tools.map(tool => 'T' + tool + ' ' + formatDuration(estimate.byTool.get(tool))).join(', ') + ')';
+    }
+    document.getElementById('stat-time').textContent = text;
+  }
+
+  // Parse a Blob off the main thread. Resolves with the parse result,
+  // its segments packed into typed arrays (PackedSegments).
+  function parseSource(source, onProgress) {
+    cancelParse();
+
+    if (typeof Worker === 'undefined') {
+      return source.text().then(text => {
+        const result = new GCodeParser(parserOptions).parse(text);
+        result.segments = PackedSegments.fromSegments(result.segments);
+        return result;
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('/js/parse-worker.js');
+      parseJob = { worker: worker, reject: reject };
+
+      const done = () => {
+        worker.terminate();
+        parseJob = null;
+      };
+      worker.onmessage = (event) => {
+        const msg = event.data;
+        if (msg.type === 'progress') {
+          onProgress(msg.fraction);
+          return;
+        }
+        done();
+        if (msg.type === 'result') {
+          msg.result.segments = PackedSegments.fromTransfer(msg.packed);
+          resolve(msg.result);
+        } else {
+          reject(new Error(msg.message));
+        }
+      };
+      worker.onerror = (event) => {
+        done();
+        reject(new Error(event.message || 'Parse worker failed'));
+      };
+
+      worker.postMessage({ source: source, options: parserOptions });
+    });
   }
 
-  function loadGCode(text, name) {
-    showStatus('Parsing ' + (name || 'G-code') + '...', false);
+  function cancelParse() {
+    if (!parseJob) return;
+    const { worker, reject } = parseJob;
+    worker.terminate();
+    parseJob = null;
+    const err = new Error('Parsing cancelled');
+    err.cancelled = true;
+    reject(err);
+  }
 
-    if (!text || text.trim().length === 0) {
+  // source is a File/Blob or a string of G-code
+  function loadGCode(source, name) {
+    if (typeof source === 'string') source = new Blob([source], { type: 'text/plain' });
+    if (!source.size) {
       showStatus('File is empty', true);
       return;
     }
 
-    try {
-      const result = parser.parse(text);
+    currentSource = source;
+    currentName = name;
 
-      if (!result.segments.length) {
-        showStatus('No toolpath moves found in file', true);
-        fileName.textContent = 'No moves found';
-        statsPanel.classList.remove('hidden');
-        return;
+    const token = ++loadToken;
+    const label = 'Parsing ' + (name || 'G-code') + '...';
+    showStatus(label, false, true);
+    cancelParseBtn.classList.remove('hidden');
+
+    parseSource(source, (fraction) => {
+      showStatus(label + ' ' + Math.round(fraction * 100) + '%', false, true);
+    }).then((result) => {
+      if (token === loadToken) showResult(result, name);
+    }).catch((err) => {
+      if (token !== loadToken) return;
+      if (err.cancelled) showStatus(err.message, false);
+      else showStatus('Parse error: ' + err.message, true);
+    }).finally(() => {
+      if (token === loadToken) cancelParseBtn.classList.add('hidden');
+    });
+  }
+
+  // Every warning and every (MSG, ...) or handler marker, in line order.
+  // Clicking a message scrubs playback to where it was emitted.
+  function showMessages(result) {
+    messagesList.textContent = '';
+    const entries = [
+      ...result.warnings.map(w => ({ line: w.line, column: w.column, text: w.message, warning: true })),
+      ...result.messages.map(m => ({ line: m.line, text: m.text, segmentIndex: m.segmentIndex }))
+    ].sort((a, b) => a.line - b.line);
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      item.className = entry.warning ? 'message-warning' : 'message-note';
+      item.textContent = 'Line ' + entry.line + (entry.column ? ', column ' + entry.column : '') + ': ' + entry.text;
+      if (!entry.warning) {
+        item.addEventListener('click', () => {
+          viewer.pause();
+          viewer.scrubToIndex(Math.min(entry.segmentIndex, result.segments.length));
+        });
       }
+      messagesList.appendChild(item);
+    }
+    const unlisted = result.warningCount - result.warnings.length;
+    if (unlisted > 0) {
+      const item = document.createElement('li');
+      item.className = 'message-warning';
+      item.textContent = '... and ' + unlisted.toLocaleString() + ' more warnings';
+      messagesList.appendChild(item);
+    }
+    const count = result.warningCount + result.messages.length;
+    messagesToggle.textContent = count ? 'Messages (' + count.toLocaleString() + ')' : 'Messages';
+  }
 
-      // Load and immediately show full toolpath — user can restart + play to animate
-      viewer.renderToolpath(result.segments, result.bounds);
+  function showResult(result, name) {
+    showMessages(result);
+    if (!result.segments.length) {
+      showStatus('No toolpath moves found in file', true);
+      fileName.textContent = 'No moves found';
+      layerRow.classList.add('hidden');
+      statsPanel.classList.remove('hidden');
+      return;
+    }
 
-      fileName.textContent = name || 'Pasted G-code';
-      document.getElementById('stat-lines').textContent = result.stats.lineCount.toLocaleString();
-      document.getElementById('stat-moves').textContent = result.stats.moveCount.toLocaleString();
+    // Load and immediately show full toolpath — user can restart + play to animate
+    viewer.lathe = parserOptions.mode === 'lathe';
+    viewer.rotary = result.rotary;
+    viewer.stops = result.stops;
+    lastResult = result;
+    const estimate = estimateCycleTime();
+    viewer.dynamicPower = estimate.speedRatio;
+    viewer.renderToolpath(result.segments, result.bounds);
+    buildToolLegend();
+    const printer = parserOptions.mode === 'printer';
+    legend.querySelector('.legend-rapid').textContent = printer || parserOptions.mode === 'laser' ? 'Travel' : 'Rapid';
+    legend.querySelector('.legend-cut').textContent =
+      printer ? 'Extrude' : parserOptions.mode === 'laser' ? 'Burn' : 'Cut';
+    legend.querySelector('.legend-alarm').classList.toggle('hidden', !viewer.hasAlarms());
+    legend.querySelector('.legend-gouge').classList.toggle('hidden', !viewer.layers.has('gouge'));
+    axisLegend.classList.toggle('hidden', !viewer.layers.has('axis'));
+    parkLegend.classList.toggle('hidden', !viewer.layers.has('park'));
 
-      const b = result.stats.bounds;
-      const sizeX = (b.max.x - b.min.x).toFixed(2);
-      const sizeY = (b.max.y - b.min.y).toFixed(2);
-      const sizeZ = (b.max.z - b.min.z).toFixed(2);
-      document.getElementById('stat-bounds').textContent = sizeX + ' x ' + sizeY + ' x ' + sizeZ;
+    fileName.textContent = name || 'Pasted G-code';
+    document.getElementById('stat-lines').textContent = result.stats.lineCount.toLocaleString();
+    document.getElementById('stat-moves').textContent = result.stats.moveCount.toLocaleString();
 
-      statsPanel.classList.remove('hidden');
-      playbackBar.classList.remove('hidden');
+    currentBounds = result.stats.bounds;
+    setupLayerSlider();
+    updateTimeStat(estimate);
+    updateSizeStat();
+    document.getElementById('stat-units').textContent = result.stats.units === 'in' ? 'inch' : 'mm';
+    document.getElementById('stat-tools').textContent = result.toolChanges.length
+      ? result.toolChanges.map(change => 'T' + change.tool).join(', ')
+      : 'none';
+    const dialect = DIALECTS[result.dialect] ? DIALECTS[result.dialect].label : 'Custom';
+    document.getElementById('stat-dialect').textContent = dialect + (parserOptions.dialect === 'auto' ? ' (auto)' : '');
+    lastToolPosition = null;
+    dro.classList.add('hidden');
+
+    statsPanel.classList.remove('hidden');
+    playbackBar.classList.remove('hidden');
 
-      updatePlayButton(false);
-      updateProgress(0, result.segments.length);
+    updatePlayButton(false);
+    updateProgress(0, result.segments.length);
+    if (result.warningCount) {
+      const first = result.warnings[0];
+      showStatus('Loaded: ' + result.segments.length + ' moves — ' +
+        result.warningCount + ' warning' + (result.warningCount > 1 ? 's' : '') +
+        ', first at line ' + first.line + (first.column ? ', column ' + first.column : '') +
+        ': ' + first.message + (result.warningCount > 1 ? ' (all under Messages)' : ''), true);
+    } else {
       showStatus('Loaded: ' + result.segments.length + ' moves', false);
+    }
 
-      pasteArea.value = '';
-    } catch (err) {
-      showStatus('Parse error: ' + err.message, true);
+    pasteArea.value = '';
+  }
+
+  // Printer files get a slider that shows the print up to a chosen layer
+  function setupLayerSlider() {
+    const layers = lastResult.layers;
+    layerRow.classList.toggle('hidden', layers.length < 2);
+    layerSlider.max = layers.length;
+    layerSlider.value = layers.length;
+    updateLayerLabel(layers.length);
+  }
+
+  function updateLayerLabel(count) {
+    const layers = lastResult.layers;
+    const top = layers[count - 1];
+    layerLabel.textContent = count + ' / ' + layers.length +
+      (top && top.z !== null ? '  Z ' + formatLength(top.z) : '');
+  }
+
+  // Layer shown at the playhead: the one the last drawn segment belongs to
+  function syncLayerSlider() {
+    if (!lastResult || layerRow.classList.contains('hidden') || !viewer.segments) return;
+    const current = viewer.currentSegmentIndex;
+    const layer = current > 0 ? viewer.segments.columns.layer[current - 1] + 1 : 1;
+    layerSlider.value = layer;
+    updateLayerLabel(layer);
+  }
+
+  layerSlider.addEventListener('input', () => {
+    const count = parseInt(layerSlider.value, 10);
+    const next = lastResult.layers[count];
+    viewer.pause();
+    viewer.scrubToIndex(next ? next.segmentIndex : viewer.segments.length);
+    updateLayerLabel(count);
+  });
+
+  function reloadCurrent() {
+    if (currentSource) loadGCode(currentSource, currentName);
+  }
+
+  function setWorkOffsets(table) {
+    workOffsets = table;
+    parserOptions.workOffsets = table;
+    localStorage.setItem('workOffsets', JSON.stringify(table));
+    buildOffsetsTable();
+    reloadCurrent();
+  }
+
+  function buildOffsetsTable() {
+    offsetsBody.innerHTML = '';
+    for (const code of WCS_CODES) {
+      const row = document.createElement('tr');
+      const label = document.createElement('th');
+      label.textContent = wcsName(code);
+      row.appendChild(label);
+      for (const axis of ['x', 'y', 'z']) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.value = workOffsets[code][axis];
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          workOffsets[code][axis] = isNaN(value) ? 0 : value;
+          setWorkOffsets(workOffsets);
+        });
+        cell.appendChild(input);
+        row.appendChild(cell);
+      }
+      offsetsBody.appendChild(row);
     }
   }
+  buildOffsetsTable();
+
+  varInput.addEventListener('change', () => {
+    const file = varInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setWorkOffsets(parseVarFile(reader.result));
+        showStatus('Loaded offsets from ' + file.name, false);
+      } catch (err) {
+        showStatus('Offset file error: ' + err.message, true);
+      }
+    };
+    reader.onerror = () => showStatus('Error reading file: ' + reader.error.message, true);
+    reader.readAsText(file);
+    varInput.value = '';
+  });
+
+  offsetsZeroBtn.addEventListener('click', () => setWorkOffsets(createWorkOffsetTable()));
+
+  function setToolTable(table) {
+    toolTable = table;
+    parserOptions.toolTable = table;
+    localStorage.setItem('toolTable', JSON.stringify(table));
+    buildToolsTable();
+    reloadCurrent();
+  }
+
+  function buildToolsTable() {
+    toolsBody.innerHTML = '';
+    for (const number of Object.keys(toolTable).map(Number).sort((a, b) => a - b)) {
+      const tool = toolTable[number];
+      const row = document.createElement('tr');
+      const cell = (control) => {
+        const td = document.createElement('td');
+        td.appendChild(control);
+        row.appendChild(td);
+      };
+
+      // Renumbering moves the tool unless the new number is taken
+      const numberInput = document.createElement('input');
+      numberInput.type = 'number';
+      numberInput.min = '1';
+      numberInput.step = '1';
+      numberInput.className = 'tool-number';
+      numberInput.value = number;
+      numberInput.addEventListener('change', () => {
+        const value = parseInt(numberInput.value, 10);
+        if (value > 0 && !toolTable[value]) {
+          delete toolTable[number];
+          toolTable[value] = tool;
+        }
+        setToolTable(toolTable);
+      });
+      cell(numberInput);
+
+      for (const field of ['diameter', 'length']) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.value = tool[field];
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          tool[field] = isNaN(value) ? 0 : value;
+          setToolTable(toolTable);
+        });
+        cell(input);
+      }
+
+      const typeSelect = document.createElement('select');
+      for (const type of TOOL_TYPES) typeSelect.add(new Option(type, type));
+      typeSelect.value = tool.type;
+      typeSelect.addEventListener('change', () => {
+        tool.type = typeSelect.value;
+        setToolTable(toolTable);
+      });
+      cell(typeSelect);
+
+      const description = document.createElement('input');
+      description.type = 'text';
+      description.className = 'tool-description';
+      description.value = tool.description;
+      description.addEventListener('change', () => {
+        tool.description = description.value;
+        setToolTable(toolTable);
+      });
+      cell(description);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-sm';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        delete toolTable[number];
+        setToolTable(toolTable);
+      });
+      cell(removeBtn);
+
+      toolsBody.appendChild(row);
+    }
+  }
+  buildToolsTable();
+
+  document.getElementById('tools-add').addEventListener('click', () => {
+    let number = 1;
+    while (toolTable[number]) number++;
+    toolTable[number] = createTool();
+    setToolTable(toolTable);
+  });
+
+  tblInput.addEventListener('change', () => {
+    const file = tblInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setToolTable(parseToolTableFile(reader.result));
+        showStatus('Loaded tools from ' + file.name, false);
+      } catch (err) {
+        showStatus('Tool table error: ' + err.message, true);
+      }
+    };
+    reader.onerror = () => showStatus('Error reading file: ' + reader.error.message, true);
+    reader.readAsText(file);
+    tblInput.value = '';
+  });
+
+  document.getElementById('tools-clear').addEventListener('click', () => setToolTable({}));
+
+  modeSelect.addEventListener('change', () => {
+    parserOptions.mode = modeSelect.value;
+    localStorage.setItem('machineMode', modeSelect.value);
+    latheViewSelect.classList.toggle('hidden', modeSelect.value !== 'lathe');
+    reloadCurrent();
+  });
+
+  const rotaryStockInput = document.getElementById('rotary-stock');
+  rotaryStockInput.value = parseFloat(localStorage.getItem('rotaryStockDiameter')) || 0;
+  viewer.rotaryStockDiameter = parseFloat(rotaryStockInput.value);
+  rotaryStockInput.addEventListener('change', () => {
+    const diameter = parseFloat(rotaryStockInput.value);
+    if (isNaN(diameter) || diameter < 0) {
+      rotaryStockInput.value = viewer.rotaryStockDiameter;
+      return;
+    }
+    localStorage.setItem('rotaryStockDiameter', diameter);
+    viewer.setRotaryStock(diameter);
+  });
+
+  // Custom code handlers come from a user script, run by every parser
+  const handlerInput = document.getElementById('handler-input');
+  const handlerName = document.getElementById('handler-name');
+  handlerName.textContent = parserOptions.handlerScript ? localStorage.getItem('handlerScriptName') || 'script' : 'none';
+
+  function setHandlerScript(source, name) {
+    parserOptions.handlerScript = source;
+    localStorage.setItem('handlerScript', source);
+    localStorage.setItem('handlerScriptName', name);
+    handlerName.textContent = source ? name : 'none';
+    reloadCurrent();
+  }
+
+  handlerInput.addEventListener('change', () => {
+    const file = handlerInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const codes = [...loadCodeHandlers(reader.result).keys()];
+        setHandlerScript(reader.result, file.name);
+        showStatus('Loaded handlers from ' + file.name + (codes.length ? ': ' + codes.join(', ') : ' (none registered)'), !codes.length);
+      } catch (err) {
+        showStatus(err.message, true);
+      }
+    };
+    reader.onerror = () => showStatus('Error reading file: ' + reader.error.message, true);
+    reader.readAsText(file);
+    handlerInput.value = '';
+  });
+
+  document.getElementById('handler-clear').addEventListener('click', () => setHandlerScript('', ''));
+
+  latheViewSelect.addEventListener('change', () => {
+    localStorage.setItem('latheView', latheViewSelect.value);
+    viewer.setLatheView(latheViewSelect.value);
+  });
+
+  coordSelect.addEventListener('change', () => {
+    parserOptions.viewCoordinates = coordSelect.value;
+    localStorage.setItem('viewCoordinates', coordSelect.value);
+    reloadCurrent();
+  });
+
+  // Machine settings: inputs map onto nested config paths like "rapid.x"
+  function readConfigPath(path) {
+    return path.split('.').reduce((obj, key) => obj[key], machineConfig);
+  }
+
+  function writeConfigPath(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((obj, key) => obj[key], machineConfig)[last] = value;
+  }
+
+  machineInputs.forEach(input => {
+    input.value = readConfigPath(input.dataset.machine);
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (isNaN(value) || value < 0) {
+        input.value = readConfigPath(input.dataset.machine);
+        return;
+      }
+      writeConfigPath(input.dataset.machine, value);
+      localStorage.setItem('machineConfig', JSON.stringify(machineConfig));
+      updateTimeStat();
+    });
+  });
+
+  // A custom dialect must be JSON that makes a valid profile
+  const customDialectInput = document.querySelector('[data-parser="customDialectText"]');
+  customDialectInput.addEventListener('input', () => {
+    let message = '';
+    try {
+      if (customDialectInput.value) resolveDialect('custom', JSON.parse(customDialectInput.value));
+    } catch (err) {
+      message = err.message;
+    }
+    customDialectInput.setCustomValidity(message);
+  });
+
+  // Parser settings change the geometry, so they re-parse the current file
+  parserInputs.forEach(input => {
+    const key = input.dataset.parser;
+    input.value = parserOptions[key];
+    input.addEventListener('change', () => {
+      const value = input.type === 'number' ? parseFloat(input.value) : input.value;
+      if (!input.checkValidity() || (typeof value === 'number' && (isNaN(value) || value < parseFloat(input.min)))) {
+        input.value = parserOptions[key];
+        return;
+      }
+      parserOptions[key] = value;
+      updateKinematics();
+      updateDialect();
+      if (parserOptions.arcMaxSegments < parserOptions.arcMinSegments) {
+        parserOptions.arcMaxSegments = parserOptions.arcMinSegments;
+        document.querySelector('[data-parser="arcMaxSegments"]').value = parserOptions.arcMaxSegments;
+      }
+
+      const settings = {};
+      parserInputs.forEach(el => { settings[el.dataset.parser] = parserOptions[el.dataset.parser]; });
+      localStorage.setItem('parserSettings', JSON.stringify(settings));
+      reloadCurrent();
+    });
+  });
 
   // Playback callbacks
   viewer.onProgress = (current, total) => updateProgress(current, total);
   viewer.onPlayStateChange = (playing) => updatePlayButton(playing);
+  viewer.onStop = (stop) => {
+    showStatus((stop.optional ? 'Optional stop' : 'Program stop') + ' at line ' + stop.line + ' — press Play to continue', false, true);
+  };
+  viewer.onToolMove = (position) => {
+    lastToolPosition = { x: position.x, y: position.y, z: position.z };
+    updateDro();
+  };
+
+  unitSelect.addEventListener('change', () => {
+    displayUnits = unitSelect.value;
+    localStorage.setItem('displayUnits', displayUnits);
+    updateSizeStat();
+    updateDro();
+    if (lastResult && lastResult.layers.length) updateLayerLabel(parseInt(layerSlider.value, 10));
+  });
 
   function updatePlayButton(playing) {
     playBtn.textContent = playing ? 'Pause' : 'Play';
@@ -91,12 +752,29 @@ document.addEventListener('DOMContentLoaded', () => {
     const pct = total > 0 ? (current / total * 100) : 0;
     progressFill.style.width = pct + '%';
     progressText.textContent = current.toLocaleString() + ' / ' + total.toLocaleString();
+    syncLayerSlider();
   }
 
   playBtn.addEventListener('click', () => viewer.togglePlay());
   restartBtn.addEventListener('click', () => viewer.restart());
   showAllBtn.addEventListener('click', () => viewer.showAll());
 
+  // Operator panel switches: M1 pauses playback only with optional stop on;
+  // block delete skips '/' lines, so it re-parses
+  viewer.optionalStops = localStorage.getItem('optionalStop') === 'true';
+  optionalStopBtn.classList.toggle('btn-primary', viewer.optionalStops);
+  optionalStopBtn.addEventListener('click', () => {
+    viewer.optionalStops = optionalStopBtn.classList.toggle('btn-primary');
+    localStorage.setItem('optionalStop', viewer.optionalStops);
+  });
+
+  blockDeleteBtn.classList.toggle('btn-primary', parserOptions.blockDelete);
+  blockDeleteBtn.addEventListener('click', () => {
+    parserOptions.blockDelete = blockDeleteBtn.classList.toggle('btn-primary');
+    localStorage.setItem('blockDelete', parserOptions.blockDelete);
+    reloadCurrent();
+  });
+
   speedSlider.addEventListener('input', () => {
     const val = parseFloat(speedSlider.value);
     const speed = Math.pow(10, (val - 50) / 35);
@@ -126,11 +804,7 @@ document.addEventListener('DOMContentLoaded', () => {
   fileInput.addEventListener('change', () => {
     const file = fileInput.files[0];
     if (!file) return;
-    showStatus('Reading ' + file.name + '...', false);
-    const reader = new FileReader();
-    reader.onload = () => loadGCode(reader.result, file.name);
-    reader.onerror = () => showStatus('Error reading file: ' + reader.error.message, true);
-    reader.readAsText(file);
+    loadGCode(file, file.name);
     // Reset so same file can be re-selected
     fileInput.value = '';
   });
@@ -142,13 +816,7 @@ document.addEventListener('DOMContentLoaded', () => {
     e.preventDefault();
     dropZone.classList.remove('dragover');
     const file = e.dataTransfer.files[0];
-    if (file) {
-      showStatus('Reading ' + file.name + '...', false);
-      const reader = new FileReader();
-      reader.onload = () => loadGCode(reader.result, file.name);
-      reader.onerror = () => showStatus('Error reading file', true);
-      reader.readAsText(file);
-    }
+    if (file) loadGCode(file, file.name);
   });
 
   // Parse pasted text
@@ -157,6 +825,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (text) loadGCode(text, null);
   });
 
+  cancelParseBtn.addEventListener('click', () => cancelParse());
+
   // Reset view
   resetBtn.addEventListener('click', () => viewer.resetView());
 
@@ -166,7 +836,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!launchParams.files.length) return;
       const fileHandle = launchParams.files[0];
       const file = await fileHandle.getFile();
-      loadGCode(await file.text(), file.name);
+      loadGCode(file, file.name);
     });
   }
 
@@ -179,9 +849,9 @@ document.addEventListener('DOMContentLoaded', () => {
         cache.match('/shared-file-data')
       ).then(async (response) => {
         if (!response) return;
-        const text = await response.text();
+        const blob = await response.blob();
         const name = response.headers.get('X-File-Name') || 'shared.nc';
-        loadGCode(text, name);
+        loadGCode(blob, name);
         caches.delete('shared-files');
         history.replaceState(null, '', '/');
       });
@@ -191,8 +861,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (fileUrl) {
       showStatus('Loading ' + fileUrl.split('/').pop() + '...', false);
       fetch(fileUrl)
-        .then(r => r.text())
-        .then(text => loadGCode(text, fileUrl.split('/').pop()))
+        .then(r => r.blob())
+        .then(blob => loadGCode(blob, fileUrl.split('/').pop()))
         .catch(err => showStatus('Error loading file: ' + err.message, true));
     }
   }
@@ -0,0 +1,135 @@
+/**
+ * Code Handlers
+ * Custom G and M codes for vendor macros and cycles the parser does not
+ * know. A handler is called with a CodeHandlerContext for each block
+ * carrying its code, and draws the block through it:
+ *
+ *   register('G399', (block) => {
+ *     const p = block.position();
+ *     block.moveTo('cut', { x: p.x + block.words.X, y: p.y });
+ *     block.marker('Sweep ' + block.written.P);
+ *   });
+ *
+ * A handler takes over the block's motion; its other codes still run.
+ * Return true to let the block's own move follow the handler's.
+ */
+
+// Machine state a handler can change with set(), and how
+const HANDLER_STATE = {
+  feed: (parser, value) => { parser.feedRate = value; }, // in the current feed mode's units
+  rpm: (parser, value) => { parser.rpm = value; },
+  spindle: (parser, value) => {
+    if (!['off', 'cw', 'ccw'].includes(value)) throw new Error('spindle must be off, cw or ccw');
+    parser.spindle = value;
+  },
+  tool: (parser, value, line) => {
+    parser.selectedTool = Math.round(value);
+    parser.changeTool(line);
+  },
+  mist: (parser, value) => { parser.mist = !!value; },
+  flood: (parser, value) => { parser.flood = !!value; },
+  absolute: (parser, value) => { parser.absoluteMode = !!value; },
+  plane: (parser, value) => {
+    if (!ARC_PLANES[value]) throw new Error('plane must be 17, 18 or 19');
+    parser.plane = value;
+  }
+};
+
+class CodeHandlerContext {
+  // words: the block's words, lengths in mm; written: as written
+  constructor(parser, code, words, written, line) {
+    this.parser = parser;
+    this.code = code;
+    this.words = words;
+    this.written = written;
+    this.line = line;
+  }
+
+  has(letter) {
+    return letter in this.words;
+  }
+
+  // Current position in program (work) coordinates, mm
+  position() {
+    const p = this.parser;
+    return { x: p.x - p.offset.x, y: p.y - p.offset.y, z: p.z - p.offset.z };
+  }
+
+  // Read-only copy of the modal state
+  state() {
+    const p = this.parser;
+    return {
+      units: p.units,
+      absolute: p.absoluteMode,
+      plane: p.plane,
+      feed: p.feedRate,
+      feedMode: FEED_MODES[p.feedMode],
+      tool: p.tool,
+      spindle: p.spindle,
+      rpm: p.rpm,
+      mist: p.mist,
+      flood: p.flood,
+      wcs: p.activeWcs,
+      angles: Object.assign({}, p.angles)
+    };
+  }
+
+  set(name, value) {
+    if (!HANDLER_STATE[name]) throw new Error('Unknown machine state "' + name + '"');
+    HANDLER_STATE[name](this.parser, value, this.line);
+  }
+
+  // Straight move ('rapid' or 'cut') to a point in program coordinates;
+  // axes left out stay where they are
+  moveTo(type, target) {
+    if (type !== 'rapid' && type !== 'cut') throw new Error('move type must be rapid or cut');
+    const to = this.toMachine(target);
+    this.parser.addMove(type, to.x, to.y, to.z, this.line);
+  }
+
+  // Arc ('cw' or 'ccw') in the active plane to target around center,
+  // both in program coordinates
+  arcTo(direction, target, center) {
+    if (direction !== 'cw' && direction !== 'ccw') throw new Error('arc direction must be cw or ccw');
+    this.parser.addArc(direction + '_arc', this.toMachine(target), this.toMachine(center), this.line);
+  }
+
+  dwell(seconds) {
+    this.parser.addDwell(seconds);
+  }
+
+  // Note at the current point of the toolpath, kept with the (MSG, ...) messages
+  marker(text) {
+    this.parser.messages.push({ line: this.line, text: String(text), segmentIndex: this.parser.segments.length });
+  }
+
+  warn(message) {
+    this.parser.warn(this.line, this.code + ': ' + message);
+  }
+
+  toMachine(point) {
+    const p = this.parser;
+    const here = this.position();
+    return {
+      x: (point.x ?? here.x) + p.offset.x,
+      y: (point.y ?? here.y) + p.offset.y,
+      z: (point.z ?? here.z) + p.offset.z
+    };
+  }
+}
+
+// Run a handler script and collect what it registers: code -> handler.
+// The script sees a single function, register(code, handler).
+function loadCodeHandlers(source) {
+  const handlers = new Map();
+  const register = (code, handler) => {
+    if (typeof handler !== 'function') throw new Error('Handler for ' + code + ' is not a function');
+    handlers.set(normalizeCode(code), handler);
+  };
+  try {
+    new Function('register', source)(register);
+  } catch (err) {
+    throw new Error('Handler script: ' + err.message);
+  }
+  return handlers;
+}
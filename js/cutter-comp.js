@@ -0,0 +1,232 @@
+/**
+ * Cutter Compensation
+ * G41/G42 tool radius compensation in the XY plane: turns the programmed
+ * contour into the path of the tool center, offset left or right by the
+ * tool radius. Outside corners get an arc around the corner; inside
+ * corners are trimmed to where the offset moves meet. Each move is held
+ * back until the next one shows how its end is cut.
+ */
+
+// Turns closer to straight than this (cross product of unit tangents)
+// need no corner
+const COMP_STRAIGHT = 1e-9;
+
+class CutterCompensation {
+  // side is 'left' (G41) or 'right' (G42); from is the tool position
+  // compensation starts at
+  constructor(side, radius, from) {
+    this.sign = side === 'left' ? 1 : -1;
+    this.radius = radius;
+    this.tool = { x: from.x, y: from.y, z: from.z }; // end of the last move handed out
+    this.pending = null; // offset move whose end waits for the next move
+  }
+
+  // Add a programmed move: { type, from, to, line } and, for arcs
+  // (type 'cw_arc' / 'ccw_arc'), center. Returns the tool-center moves
+  // that are now final: { type, to, line, center?, gouge? }, where gouge
+  // is a message when the offset path cuts into the part.
+  move(move) {
+    const out = [];
+    const arc = move.type === 'cw_arc' || move.type === 'ccw_arc';
+
+    // Moves with no XY travel (plunges, retracts) ride along at the corner
+    if (!arc && move.from.x === move.to.x && move.from.y === move.to.y) {
+      if (this.pending) this.pending.after.push(move);
+      else this.emitLine(move.type, { x: this.tool.x, y: this.tool.y, z: move.to.z }, move.line, out);
+      return out;
+    }
+
+    let start;
+    if (!this.pending) {
+      // Lead-in: a line runs from where the tool is to its offset end;
+      // an arc needs a line onto its offset start first
+      if (arc) {
+        start = this.offsetPoint(move.from, this.tangent(move, move.from));
+        this.emitLine('cut', start, move.line, out);
+      } else {
+        start = { x: this.tool.x, y: this.tool.y, z: this.tool.z };
+      }
+    } else {
+      start = this.corner(this.pending, move, out);
+    }
+
+    this.pending = this.offsetMove(move, start);
+    return out;
+  }
+
+  // End compensation: the held move ends square to its own direction
+  finish() {
+    const out = [];
+    if (this.pending) this.emit(this.pending, out);
+    this.pending = null;
+    return out;
+  }
+
+  // Offset move starting at start, its end square to the programmed end
+  offsetMove(move, start) {
+    const end = this.offsetPoint(move.to, this.tangent(move, move.to));
+    const offset = { move: move, start: start, end: end, after: [], gouge: null };
+    if (move.center) {
+      const radius = Math.hypot(move.from.x - move.center.x, move.from.y - move.center.y);
+      const inward = move.type === 'ccw_arc' ? this.sign : -this.sign; // offset towards the center
+      offset.radius = radius - inward * this.radius;
+      if (offset.radius <= 0) offset.gouge = 'tool radius is larger than the arc radius';
+      offset.sweep = this.sweep(offset, this.offsetPoint(move.from, this.tangent(move, move.from)), end);
+      if (this.sweep(offset, start, end) > offset.sweep + 1e-9) offset.gouge = 'arc is too short for the tool';
+    } else if (this.dot(this.direction(start, end), this.direction(move.from, move.to)) <= 0) {
+      offset.gouge = 'move is too short for the tool';
+    }
+    return offset;
+  }
+
+  // Finish the held move a at its corner with move b, handing it (and an
+  // outside corner arc) out. Returns where b's offset starts.
+  corner(a, b, out) {
+    const corner = b.from;
+    const ta = this.tangent(a.move, a.move.to);
+    const tb = this.tangent(b, corner);
+    const cross = ta.x * tb.y - ta.y * tb.x;
+    const startB = this.offsetPoint(corner, tb);
+
+    if (Math.abs(cross) < COMP_STRAIGHT && this.dot(ta, tb) > 0) {
+      this.emit(a, out);
+      return startB;
+    }
+
+    if (this.sign * cross < 0 || Math.abs(cross) < COMP_STRAIGHT) {
+      // Outside corner: roll around it at the tool radius
+      this.emit(a, out);
+      const type = a.move.type === 'rapid' && b.type === 'rapid' ? 'rapid' : 'cut';
+      out.push({
+        type: this.sign > 0 ? 'cw_arc' : 'ccw_arc',
+        to: startB,
+        center: { x: corner.x, y: corner.y, z: corner.z },
+        line: b.line
+      });
+      this.tool = startB;
+      return startB;
+    }
+
+    // Inside corner: both offset moves stop where they cross
+    const hit = this.intersect(a, this.offsetMove(b, startB), corner);
+    if (!hit) {
+      a.gouge = a.gouge || 'offset moves do not meet at an inside corner';
+      this.emit(a, out);
+      return this.tool;
+    }
+    a.end = { x: hit.x, y: hit.y, z: a.end.z };
+    if (a.move.center) {
+      if (this.sweep(a, a.start, a.end) > a.sweep + 1e-9) a.gouge = a.gouge || 'arc is too short for the tool';
+    } else if (this.dot(this.direction(a.start, a.end), this.direction(a.move.from, a.move.to)) <= 0) {
+      a.gouge = a.gouge || 'move is too short for the tool';
+    }
+    this.emit(a, out);
+    return a.end;
+  }
+
+  // Hand out an offset move and the moves held at its end
+  emit(offset, out) {
+    const move = { type: offset.move.type, to: offset.end, line: offset.move.line };
+    if (offset.move.center) move.center = offset.move.center;
+    if (offset.gouge) move.gouge = offset.gouge;
+    out.push(move);
+    this.tool = offset.end;
+    for (const after of offset.after) {
+      this.emitLine(after.type, { x: this.tool.x, y: this.tool.y, z: after.to.z }, after.line, out);
+    }
+  }
+
+  emitLine(type, to, line, out) {
+    out.push({ type: type, to: to, line: line });
+    this.tool = to;
+  }
+
+  // Crossing of two offset moves (lines, or circles for arcs) nearest
+  // the programmed corner
+  intersect(a, b, corner) {
+    let hits;
+    if (!a.move.center && !b.move.center) {
+      hits = this.lineLine(a.start, a.end, b.start, b.end);
+    } else if (a.move.center && b.move.center) {
+      hits = this.circleCircle(a.move.center, a.radius, b.move.center, b.radius);
+    } else {
+      const line = a.move.center ? b : a;
+      const circle = a.move.center ? a : b;
+      hits = this.lineCircle(line.start, line.end, circle.move.center, circle.radius);
+    }
+    let best = null;
+    for (const hit of hits) {
+      if (!best || Math.hypot(hit.x - corner.x, hit.y - corner.y) < Math.hypot(best.x - corner.x, best.y - corner.y)) {
+        best = hit;
+      }
+    }
+    return best;
+  }
+
+  lineLine(p, p2, q, q2) {
+    const d = { x: p2.x - p.x, y: p2.y - p.y };
+    const e = { x: q2.x - q.x, y: q2.y - q.y };
+    const denom = d.x * e.y - d.y * e.x;
+    if (!denom) return [];
+    const t = ((q.x - p.x) * e.y - (q.y - p.y) * e.x) / denom;
+    return [{ x: p.x + d.x * t, y: p.y + d.y * t }];
+  }
+
+  lineCircle(p, p2, c, r) {
+    const d = this.direction(p, p2);
+    const fx = p.x - c.x;
+    const fy = p.y - c.y;
+    const b = fx * d.x + fy * d.y;
+    const disc = b * b - (fx * fx + fy * fy - r * r);
+    if (disc < 0) return [];
+    const root = Math.sqrt(disc);
+    return [-b - root, -b + root].map(t => ({ x: p.x + d.x * t, y: p.y + d.y * t }));
+  }
+
+  circleCircle(c1, r1, c2, r2) {
+    const dx = c2.x - c1.x;
+    const dy = c2.y - c1.y;
+    const d = Math.hypot(dx, dy);
+    if (!d || d > r1 + r2 || d < Math.abs(r1 - r2)) return [];
+    const along = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+    const h = Math.sqrt(Math.max(0, r1 * r1 - along * along));
+    const mx = c1.x + dx * along / d;
+    const my = c1.y + dy * along / d;
+    return [
+      { x: mx - dy * h / d, y: my + dx * h / d },
+      { x: mx + dy * h / d, y: my - dx * h / d }
+    ];
+  }
+
+  // Unit direction of travel of a programmed move at point p
+  tangent(move, p) {
+    if (!move.center) return this.direction(move.from, move.to);
+    const r = this.direction(move.center, p);
+    return move.type === 'ccw_arc' ? { x: -r.y, y: r.x } : { x: r.y, y: -r.x };
+  }
+
+  // p moved the tool radius to the compensated side of direction t
+  offsetPoint(p, t) {
+    const r = this.sign * this.radius;
+    return { x: p.x - r * t.y, y: p.y + r * t.x, z: p.z };
+  }
+
+  // Angle an offset arc turns through from p to q, in its direction, 0-2pi
+  sweep(offset, p, q) {
+    const c = offset.move.center;
+    let angle = Math.atan2(q.y - c.y, q.x - c.x) - Math.atan2(p.y - c.y, p.x - c.x);
+    if (offset.move.type === 'cw_arc') angle = -angle;
+    return angle < 0 ? angle + 2 * Math.PI : angle;
+  }
+
+  direction(p, q) {
+    const dx = q.x - p.x;
+    const dy = q.y - p.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: dx / length, y: dy / length };
+  }
+
+  dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+  }
+}
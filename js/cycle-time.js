@@ -0,0 +1,162 @@
+/**
+ * Cycle Time Estimator
+ * Estimates machine run time from parsed segments with a trapezoidal
+ * acceleration model and junction-deviation cornering (as Grbl plans it).
+ * Lengths are mm, feeds mm/min, accelerations mm/s².
+ */
+
+const DEFAULT_MACHINE_CONFIG = {
+  rapid: { x: 5000, y: 5000, z: 3000 },
+  maxFeed: { x: 5000, y: 5000, z: 3000 },
+  acceleration: { x: 500, y: 500, z: 300 },
+  junctionDeviation: 0.01,
+  toolChangeTime: 10 // seconds per M6
+};
+
+class CycleTimeEstimator {
+  constructor(config = {}) {
+    this.config = CycleTimeEstimator.mergeConfig(config);
+  }
+
+  static mergeConfig(config) {
+    const merged = JSON.parse(JSON.stringify(DEFAULT_MACHINE_CONFIG));
+    for (const key of Object.keys(merged)) {
+      if (!config || config[key] === undefined) continue;
+      if (typeof merged[key] === 'object') Object.assign(merged[key], config[key]);
+      else merged[key] = config[key];
+    }
+    return merged;
+  }
+
+  // Takes PackedSegments and returns { total, motion, dwell, toolChange,
+  // byTool } in seconds. byTool maps tool number to its share of the total.
+  // speedRatio holds, per segment, the average speed over the commanded
+  // feed (1 for rapids and where the feed is reached).
+  estimate(segments, toolChanges = []) {
+    const n = segments.length;
+    const p = segments.positions;
+    const { feed, dwell: dwells, tool: tools } = segments.columns;
+    const lengths = new Float64Array(n);
+    const nominal = new Float64Array(n); // mm/s
+    const accel = new Float64Array(n); // mm/s²
+    const junction = new Float64Array(n); // max entry speed, mm/s
+    const units = new Float64Array(n * 3);
+
+    for (let i = 0; i < n; i++) {
+      const o = i * 6;
+      const rapid = segments.isRapid(i);
+      const dx = p[o + 3] - p[o];
+      const dy = p[o + 4] - p[o + 1];
+      const dz = p[o + 5] - p[o + 2];
+      const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      lengths[i] = length;
+      if (length === 0) continue;
+
+      const ux = dx / length, uy = dy / length, uz = dz / length;
+      units[i * 3] = ux;
+      units[i * 3 + 1] = uy;
+      units[i * 3 + 2] = uz;
+
+      // Each axis caps the path speed by how much of the move it carries
+      const limits = rapid ? this.config.rapid : this.config.maxFeed;
+      let speed = this.axisLimit(limits, ux, uy, uz) / 60;
+      if (!rapid && feed[i] > 0) speed = Math.min(speed, feed[i] / 60);
+      nominal[i] = speed;
+      accel[i] = this.axisLimit(this.config.acceleration, ux, uy, uz);
+
+      junction[i] = i === 0 || this.mustStopBefore(segments, i)
+        ? 0
+        : this.junctionSpeed(units, i, accel[i]);
+    }
+
+    // Backward pass: every segment must be able to slow down for the next
+    const entry = new Float64Array(n + 1); // entry[n] = final stop
+    for (let i = n - 1; i >= 0; i--) {
+      const limit = Math.min(junction[i], nominal[i], i > 0 ? nominal[i - 1] : 0);
+      entry[i] = Math.min(limit, Math.sqrt(entry[i + 1] * entry[i + 1] + 2 * accel[i] * lengths[i]));
+    }
+    // Forward pass: and must be reachable from the previous entry speed
+    for (let i = 0; i < n; i++) {
+      const reachable = Math.sqrt(entry[i] * entry[i] + 2 * accel[i] * lengths[i]);
+      if (entry[i + 1] > reachable) entry[i + 1] = reachable;
+    }
+
+    const byTool = new Map();
+    const speedRatio = new Float32Array(n).fill(1);
+    let motion = 0, dwell = 0;
+    for (let i = 0; i < n; i++) {
+      let t = lengths[i] > 0
+        ? this.trapezoidTime(lengths[i], entry[i], entry[i + 1], nominal[i], accel[i])
+        : 0;
+      motion += t;
+      if (t > 0 && feed[i] > 0 && !segments.isRapid(i)) {
+        speedRatio[i] = Math.min(lengths[i] / t / (feed[i] / 60), 1);
+      }
+      if (dwells[i]) {
+        dwell += dwells[i];
+        t += dwells[i];
+      }
+      byTool.set(tools[i], (byTool.get(tools[i]) || 0) + t);
+    }
+
+    const toolChange = toolChanges.length * this.config.toolChangeTime;
+    for (const change of toolChanges) {
+      byTool.set(change.tool, (byTool.get(change.tool) || 0) + this.config.toolChangeTime);
+    }
+
+    return {
+      total: motion + dwell + toolChange,
+      motion: motion,
+      dwell: dwell,
+      toolChange: toolChange,
+      byTool: byTool,
+      speedRatio: speedRatio
+    };
+  }
+
+  // Speed or acceleration along unit vector u when each axis has its own limit
+  axisLimit(limits, ux, uy, uz) {
+    let limit = Infinity;
+    if (ux) limit = Math.min(limit, limits.x / Math.abs(ux));
+    if (uy) limit = Math.min(limit, limits.y / Math.abs(uy));
+    if (uz) limit = Math.min(limit, limits.z / Math.abs(uz));
+    return limit;
+  }
+
+  // The machine comes to a stop across dwells, tool changes and gaps
+  // in the path (e.g. a work offset change in the work-coordinate view)
+  mustStopBefore(segments, i) {
+    const { dwell, tool } = segments.columns;
+    if (dwell[i - 1] || tool[i - 1] !== tool[i]) return true;
+    const p = segments.positions;
+    const o = i * 6;
+    return p[o - 3] !== p[o] || p[o - 2] !== p[o + 1] || p[o - 1] !== p[o + 2];
+  }
+
+  // Junction deviation: the fastest speed through a corner that keeps the
+  // path within junctionDeviation of the sharp corner
+  junctionSpeed(units, i, accel) {
+    const p = (i - 1) * 3;
+    const c = i * 3;
+    const cosTheta = -(units[p] * units[c] + units[p + 1] * units[c + 1] + units[p + 2] * units[c + 2]);
+    if (cosTheta > 0.999999) return 0; // full reversal
+    if (cosTheta < -0.999999) return Infinity; // straight through
+
+    const sinHalf = Math.sqrt(0.5 * (1 - cosTheta));
+    return Math.sqrt(accel * this.config.junctionDeviation * sinHalf / (1 - sinHalf));
+  }
+
+  trapezoidTime(length, v0, v1, vMax, accel) {
+    const accelDist = (vMax * vMax - v0 * v0) / (2 * accel);
+    const decelDist = (vMax * vMax - v1 * v1) / (2 * accel);
+
+    if (accelDist + decelDist <= length) {
+      const cruise = length - accelDist - decelDist;
+      return (vMax - v0) / accel + (vMax - v1) / accel + cruise / vMax;
+    }
+
+    // Never reaches cruise speed: triangular profile
+    const peak = Math.sqrt((2 * accel * length + v0 * v0 + v1 * v1) / 2);
+    return (peak - v0) / accel + (peak - v1) / accel;
+  }
+}
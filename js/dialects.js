@@ -0,0 +1,213 @@
+/**
+ * Dialects
+ * Controller profiles: what shop- and control-specific codes mean to the
+ * preview, the modal state a program starts in, how it ends, and whether
+ * trailing park moves are picked out. Picked by name or detected from the
+ * file's header comments.
+ */
+
+// What a code in a profile's code table does to its block:
+//   skip         the block's modal G codes take effect, but it moves nothing
+//   ignore       the code is dropped, the rest of the block runs
+//   unsupported  like skip, with a warning
+//   home         G28/G30 return: rapid through the block's axis words to
+//                the stored home position, drawn as a home move
+const DIALECT_CODE_MEANINGS = ['skip', 'ignore', 'unsupported', 'home'];
+
+// Comments in this many leading lines are read for auto-detection
+const DIALECT_HEADER_LINES = 30;
+
+// Codes a Fanuc-style control has that the preview does not draw
+const FANUC_CODES = {
+  G28: 'home', // reference return through an intermediate point
+  G30: 'home', // second reference return
+  'G5.1': 'ignore', // AI contour control
+  G51: 'unsupported', // scaling
+  'G51.1': 'unsupported', // programmable mirror image
+  G68: 'unsupported', // coordinate rotation
+  G69: 'ignore'
+};
+
+// modal.diameter: lathe X words are diameters (G7) until a G8.
+// integerDwellMs: a G4 or cycle P written as a whole number is milliseconds.
+// latheFeedCodes: on lathes G98 is feed per minute and G99 feed per
+// revolution (Fanuc G code system A), starting in G99.
+const DIALECTS = {
+  generic: {
+    label: 'Generic',
+    detect: null,
+    codes: {
+      G28: 'home',
+      G30: 'home',
+      G399: 'skip' // CV sweep cycle from in-house router posts
+    },
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: true },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip', // or 'parse': keep reading blocks after the end code
+    integerDwellMs: false,
+    latheFeedCodes: true,
+    tagParkMoves: true
+  },
+  fanuc: {
+    label: 'Fanuc',
+    detect: /\bfanuc\b/i,
+    codes: FANUC_CODES,
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: true },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip',
+    integerDwellMs: true,
+    latheFeedCodes: true,
+    tagParkMoves: false
+  },
+  haas: {
+    label: 'Haas',
+    detect: /\bhaas\b/i,
+    codes: Object.assign({}, FANUC_CODES, {
+      G12: 'unsupported', // circular pocket milling
+      G13: 'unsupported',
+      G47: 'unsupported', // text engraving
+      G150: 'unsupported', // general purpose pocket milling
+      G187: 'ignore', // smoothness setting
+      M97: 'unsupported' // local subprogram call
+    }),
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: true },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip',
+    integerDwellMs: true,
+    latheFeedCodes: true,
+    tagParkMoves: false
+  },
+  linuxcnc: {
+    label: 'LinuxCNC',
+    detect: /\blinux\s?cnc\b/i,
+    codes: {
+      G28: 'home', // to the position stored by G28.1
+      G30: 'home',
+      'G38.2': 'skip', // probing: the end point depends on the part
+      'G38.3': 'skip',
+      'G38.4': 'skip',
+      'G38.5': 'skip',
+      G33: 'unsupported', // spindle-synchronized motion
+      'G33.1': 'unsupported'
+    },
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: false },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip',
+    integerDwellMs: false,
+    latheFeedCodes: false,
+    tagParkMoves: false
+  },
+  grbl: {
+    label: 'Grbl',
+    detect: /\bgrbl\b/i,
+    codes: {
+      G28: 'home', // to the position stored by G28.1
+      G30: 'home',
+      'G38.2': 'skip',
+      'G38.3': 'skip',
+      'G38.4': 'skip',
+      'G38.5': 'skip'
+    },
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: false },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip',
+    integerDwellMs: false,
+    latheFeedCodes: false,
+    tagParkMoves: false
+  },
+  marlin: {
+    label: 'Marlin',
+    detect: /\bmarlin\b/i, // Cura writes ;FLAVOR:Marlin
+    codes: {
+      G28: 'home', // axis words only pick the axes to home
+      G29: 'skip' // bed leveling probe
+    },
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: false },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip',
+    integerDwellMs: true, // G4 P is milliseconds, G4 S seconds
+    latheFeedCodes: false,
+    tagParkMoves: false
+  },
+  mach3: {
+    label: 'Mach3',
+    detect: /\bmach\s?[34]\b/i,
+    codes: {
+      G28: 'home',
+      G30: 'home',
+      G12: 'unsupported', // circular pocket
+      G13: 'unsupported'
+    },
+    modal: { units: 'mm', plane: 17, absolute: true, feedMode: 94, wcs: 54, diameter: true },
+    endCodes: ['M2', 'M30'],
+    afterEnd: 'skip',
+    integerDwellMs: false,
+    latheFeedCodes: false,
+    tagParkMoves: true // router posts park the gantry at the end
+  }
+};
+
+// Profile names in menu order; 'custom' is built from user settings
+const DIALECT_NAMES = [...Object.keys(DIALECTS), 'custom'];
+
+// Profile for a name, with its code table keyed by normalized code
+// ("G05.1" -> "G5.1"). custom: { base, codes, modal, endCodes, afterEnd,
+// integerDwellMs, latheFeedCodes, tagParkMoves }, each field overriding
+// the base profile.
+function resolveDialect(name, custom) {
+  let profile;
+  if (name === 'custom') {
+    const config = custom || {};
+    const base = DIALECTS[config.base || 'generic'];
+    if (!base) throw new Error('Unknown base dialect "' + config.base + '"');
+    profile = Object.assign({}, base, config, {
+      label: 'Custom',
+      codes: Object.assign({}, base.codes, config.codes),
+      modal: Object.assign({}, base.modal, config.modal)
+    });
+  } else {
+    profile = DIALECTS[name];
+    if (!profile) throw new Error('Unknown dialect "' + name + '"');
+  }
+
+  const codes = new Map();
+  for (const code in profile.codes) {
+    const meaning = profile.codes[code];
+    if (!DIALECT_CODE_MEANINGS.includes(meaning)) {
+      throw new Error('Dialect code ' + code + ': unknown meaning "' + meaning + '"');
+    }
+    codes.set(normalizeCode(code), meaning);
+  }
+  return {
+    name: name,
+    label: profile.label,
+    codes: codes,
+    modal: profile.modal,
+    endCodes: profile.endCodes.map(normalizeCode),
+    afterEnd: profile.afterEnd,
+    integerDwellMs: profile.integerDwellMs,
+    latheFeedCodes: profile.latheFeedCodes,
+    tagParkMoves: profile.tagParkMoves
+  };
+}
+
+// "g05.1" -> "G5.1", "M02" -> "M2"
+function normalizeCode(code) {
+  const match = String(code).trim().match(/^([GM])\s*(\d+(?:\.\d+)?)$/i);
+  if (!match) throw new Error('Dialect code "' + code + '" is not a G or M code');
+  return match[1].toUpperCase() + parseFloat(match[2]);
+}
+
+// Name of the first profile whose pattern matches a comment in the
+// leading lines, or null
+function detectDialect(lines) {
+  const comments = [];
+  for (const line of lines.slice(0, DIALECT_HEADER_LINES)) {
+    for (const match of line.matchAll(/\(([^)]*)\)|;(.*)$/g)) comments.push(match[1] ?? match[2]);
+  }
+  for (const name in DIALECTS) {
+    const pattern = DIALECTS[name].detect;
+    if (pattern && comments.some(text => pattern.test(text))) return name;
+  }
+  return null;
+}
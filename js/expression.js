@@ -0,0 +1,260 @@
+/**
+ * Expression Evaluator
+ * RS-274/NGC parameters and expressions: numbered (#101) and named
+ * (#<depth>) parameters, bracketed math ([#1 + 2 * 3]), functions
+ * (SIN[30], ATAN[1]/[2], ...), comparisons (EQ, NE, GT, GE, LT, LE) and
+ * logic (AND, OR, XOR). Angles are in degrees.
+ */
+
+// Binary operators by precedence, loosest first
+const BINARY_PRECEDENCE = [
+  ['AND', 'OR', 'XOR'],
+  ['EQ', 'NE', 'GT', 'GE', 'LT', 'LE'],
+  ['+', '-'],
+  ['*', '/', 'MOD'],
+  ['**']
+];
+
+const DEG = Math.PI / 180;
+
+// One-argument functions: NAME[value]
+const EXPRESSION_FUNCTIONS = {
+  ABS: Math.abs,
+  ACOS: v => Math.acos(v) / DEG,
+  ASIN: v => Math.asin(v) / DEG,
+  ATAN: v => Math.atan(v) / DEG, // ATAN[y]/[x] is handled as atan2
+  COS: v => Math.cos(v * DEG),
+  SIN: v => Math.sin(v * DEG),
+  TAN: v => Math.tan(v * DEG),
+  EXP: Math.exp,
+  LN: v => {
+    if (v <= 0) throw new Error('LN of a value that is not positive');
+    return Math.log(v);
+  },
+  SQRT: v => {
+    if (v < 0) throw new Error('SQRT of a negative value');
+    return Math.sqrt(v);
+  },
+  ROUND: Math.round,
+  FIX: Math.floor,
+  FUP: Math.ceil
+};
+
+// Call arguments land in #1..#30, local to the o-word sub
+const LOCAL_PARAMETER_COUNT = 30;
+
+const EXPRESSION_TOKEN = /\s*(\*\*|[-+*/[\]#=]|\d*\.\d+|\d+\.?|[A-Z]+|<[^>]*>)/y;
+
+class ExpressionEvaluator {
+  constructor() {
+    this.numbered = new Map(); // parameter number -> value
+    this.named = new Map(); // upper-cased name -> value
+    this.frames = []; // locals saved by each active o-word call
+  }
+
+  // Evaluate expression text such as "[#1 LT 10]"; throws on bad syntax
+  evaluate(text) {
+    this.start(text, 0);
+    const value = this.parseBinary(0);
+    if (this.peek() !== undefined) {
+      throw new Error('Unexpected "' + this.peek() + '" in expression');
+    }
+    return value;
+  }
+
+  // Read one word value (number, parameter, [expression] or function)
+  // starting at `from`. Returns { value, end }.
+  readValue(text, from) {
+    this.start(text, from);
+    const value = this.parseUnary();
+    return { value: value, end: this.pos };
+  }
+
+  // The parameter a "#..." reference names: a number, or a name for #<name>
+  parameter(text) {
+    this.start(text, 0);
+    this.expect('#');
+    const name = this.parameterName();
+    if (this.peek() !== undefined) throw new Error('Unexpected "' + this.peek() + '" after parameter');
+    return name;
+  }
+
+  start(text, from) {
+    this.source = text.toUpperCase();
+    this.pos = from;
+  }
+
+  // Next token without consuming it; undefined at the end of the text
+  peek() {
+    EXPRESSION_TOKEN.lastIndex = this.pos;
+    const match = EXPRESSION_TOKEN.exec(this.source);
+    if (!match) {
+      const rest = this.source.slice(this.pos).trim();
+      if (!rest) return undefined;
+      throw new Error('Cannot read expression "' + rest + '"');
+    }
+    this.tokenEnd = EXPRESSION_TOKEN.lastIndex;
+    return match[1];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    this.pos = this.tokenEnd;
+    return token;
+  }
+
+  expect(token) {
+    if (this.peek() !== token) {
+      throw new Error('Expected "' + token + '" in expression');
+    }
+    this.pos = this.tokenEnd;
+  }
+
+  parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    while (BINARY_PRECEDENCE[level].includes(this.peek())) {
+      const op = this.next();
+      const right = this.parseBinary(level + 1);
+      left = this.apply(op, left, right);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token === '-') {
+      this.next();
+      return -this.parseUnary();
+    }
+    if (token === '+') {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (token === '[') {
+      const value = this.parseBinary(0);
+      this.expect(']');
+      return value;
+    }
+    if (token === '#') return this.get(this.parameterName());
+    if (/^[\d.]/.test(token)) return parseFloat(token);
+
+    if (token === 'EXISTS') {
+      this.expect('[');
+      this.expect('#');
+      const name = this.parameterName();
+      this.expect(']');
+      return this.has(name) ? 1 : 0;
+    }
+    if (token in EXPRESSION_FUNCTIONS) {
+      this.expect('[');
+      const value = this.parseBinary(0);
+      this.expect(']');
+      if (token === 'ATAN' && this.peek() === '/' && this.followedByBracket()) {
+        this.next();
+        this.expect('[');
+        const x = this.parseBinary(0);
+        this.expect(']');
+        return Math.atan2(value, x) / DEG;
+      }
+      return EXPRESSION_FUNCTIONS[token](value);
+    }
+    throw new Error('Unknown word "' + token + '" in expression');
+  }
+
+  // Whether the token after the current one is '['
+  followedByBracket() {
+    const pos = this.pos;
+    this.pos = this.tokenEnd;
+    const bracket = this.peek() === '[';
+    this.pos = pos;
+    return bracket;
+  }
+
+  // The parameter after a '#': a number (#5, ##1, #[#2 + 1]) or a name
+  parameterName() {
+    const token = this.peek();
+    if (token && token[0] === '<') {
+      this.next();
+      return token.slice(1, -1).replace(/\s+/g, '');
+    }
+    const number = this.parsePrimary();
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error('Bad parameter number #' + number);
+    }
+    return number;
+  }
+
+  get(name) {
+    if (typeof name === 'number') return this.numbered.get(name) || 0;
+    if (!this.named.has(name)) throw new Error('Parameter #<' + name + '> is not defined');
+    return this.named.get(name);
+  }
+
+  has(name) {
+    return typeof name === 'number' ? this.numbered.has(name) : this.named.has(name);
+  }
+
+  set(name, value) {
+    if (typeof name === 'number') this.numbered.set(name, value);
+    else this.named.set(name, value);
+  }
+
+  // Entering an o-word sub: save the caller's locals (#1-#30 and names
+  // without a leading underscore) and bind the call arguments
+  pushLocals(args) {
+    const frame = { numbered: new Map(), named: new Map() };
+    for (let n = 1; n <= LOCAL_PARAMETER_COUNT; n++) {
+      if (this.numbered.has(n)) frame.numbered.set(n, this.numbered.get(n));
+      this.numbered.delete(n);
+    }
+    for (const [name, value] of this.named) {
+      if (name[0] === '_') continue;
+      frame.named.set(name, value);
+      this.named.delete(name);
+    }
+    args.slice(0, LOCAL_PARAMETER_COUNT).forEach((value, i) => this.numbered.set(i + 1, value));
+    this.frames.push(frame);
+  }
+
+  popLocals() {
+    const frame = this.frames.pop();
+    if (!frame) return;
+    for (let n = 1; n <= LOCAL_PARAMETER_COUNT; n++) this.numbered.delete(n);
+    for (const name of [...this.named.keys()]) {
+      if (name[0] !== '_') this.named.delete(name);
+    }
+    for (const [n, value] of frame.numbered) this.numbered.set(n, value);
+    for (const [name, value] of frame.named) this.named.set(name, value);
+  }
+
+  apply(op, a, b) {
+    switch (op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/':
+        if (b === 0) throw new Error('Division by zero in expression');
+        return a / b;
+      case 'MOD': return a - b * Math.floor(a / b);
+      case '**': return Math.pow(a, b);
+      case 'EQ': return a === b ? 1 : 0;
+      case 'NE': return a !== b ? 1 : 0;
+      case 'GT': return a > b ? 1 : 0;
+      case 'GE': return a >= b ? 1 : 0;
+      case 'LT': return a < b ? 1 : 0;
+      case 'LE': return a <= b ? 1 : 0;
+      case 'AND': return a && b ? 1 : 0;
+      case 'OR': return a || b ? 1 : 0;
+      case 'XOR': return !a !== !b ? 1 : 0;
+    }
+    throw new Error('Unknown operator ' + op);
+  }
+}
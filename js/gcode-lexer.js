@@ -0,0 +1,243 @@
+/**
+ * G-code Lexer
+ * Splits one block into words following the RS-274/NGC lexical rules:
+ * case-insensitive, spaces ignored (even inside numbers), ( ) and ;
+ * comments, #parameter assignments and [expression] word values.
+ * Comments and (MSG, ...) / M117 text are kept; malformed input is
+ * reported as diagnostics with a 1-based column instead of being dropped
+ * silently.
+ */
+
+// Operators that continue an assignment's value: #1 = #2 + 3
+const EXPRESSION_OPERATOR = /\s*(\*\*|[-+*/]|(?:MOD|EQ|NE|GT|GE|LT|LE|AND|OR|XOR)(?![A-Z]))/iy;
+const FUNCTION_NAME = /([A-Z]{2,})\s*\[/iy;
+const NUMBER_TEXT = /[\d.][\d.\s]*/y;
+
+// M117 (display message) and M118 (host message) take free text
+const MESSAGE_M_CODES = ['117', '118'];
+
+class GCodeLexer {
+  // Returns { words, assignments, comments, messages, diagnostics,
+  // programLine, blockDelete, tapeMarker }.
+  // Words are { letter, value, column } with the value text upper-cased
+  // and spaces removed, e.g. "-1.5" or "[#1+2]"; assignments are
+  // { name, value, column } where name is the text after '#'.
+  lex(line) {
+    const block = {
+      words: [],
+      assignments: [],
+      comments: [],
+      messages: [],
+      diagnostics: [],
+      programLine: false, // an O-word line, run by ProgramFlow
+      blockDelete: false, // starts with '/': skipped when block delete is on
+      tapeMarker: false // a '%' line
+    };
+
+    let pos = 0;
+    let first = true; // before the first word of the block
+    while (pos < line.length) {
+      const c = line[pos];
+      const column = pos + 1;
+
+      if (c === ' ' || c === '\t' || c === '\r') {
+        pos++;
+      } else if (c === '(') {
+        pos = this.readComment(line, pos, block);
+      } else if (c === ';') {
+        block.comments.push({ text: line.slice(pos + 1).trim(), column: column });
+        pos = line.length;
+      } else if (first && (c === 'O' || c === 'o')) {
+        block.programLine = true;
+        return block;
+      } else if (first && (c === '%' || c === '$')) {
+        // Tape marker, or a Grbl system command such as $H
+        block.tapeMarker = c === '%';
+        return block;
+      } else if (first && c === '/' && !block.blockDelete) {
+        // Block delete; Fanuc's /2-/9 switches count as the one switch
+        block.blockDelete = true;
+        pos++;
+        if (/[1-9]/.test(line[pos])) pos++;
+      } else if (c === '*' && /^\*\d+\s*$/.test(line.slice(pos))) {
+        pos = line.length; // RepRap checksum
+      } else if (c === '#') {
+        pos = this.readAssignment(line, pos, block);
+        first = false;
+      } else if (/[A-Za-z]/.test(c)) {
+        const value = this.scanValue(line, pos + 1);
+        if (value.error) {
+          block.diagnostics.push({ column: column, message: 'Word ' + c.toUpperCase() + ' ' + value.error });
+          pos = Math.max(pos + 1, value.end); // past the malformed value
+        } else {
+          block.words.push({ letter: c.toUpperCase(), value: value.text, column: column });
+          pos = value.end;
+          if (/^[Mm]$/.test(c) && MESSAGE_M_CODES.includes(value.text)) {
+            // The rest of the line is display text, not words
+            const text = line.slice(pos).replace(/;.*$/, '').trim();
+            if (text) block.messages.push(text);
+            pos = line.length;
+          }
+        }
+        first = false;
+      } else {
+        block.diagnostics.push({ column: column, message: 'Unexpected "' + c + '"' });
+        pos++;
+      }
+    }
+    return block;
+  }
+
+  // ( ... ) comment starting at pos; nested parentheses are kept inside.
+  // Returns the position after it.
+  readComment(line, pos, block) {
+    let depth = 0;
+    let end = pos;
+    for (; end < line.length; end++) {
+      if (line[end] === '(') depth++;
+      else if (line[end] === ')' && --depth === 0) break;
+    }
+    if (end === line.length) {
+      block.diagnostics.push({ column: pos + 1, message: 'Comment is not closed' });
+    }
+
+    const text = line.slice(pos + 1, end).trim();
+    block.comments.push({ text: text, column: pos + 1 });
+    const message = text.match(/^MSG\s*,\s*(.*)$/i);
+    if (message) block.messages.push(message[1]);
+    return end + 1;
+  }
+
+  // "#name = value" starting at the '#'
+  readAssignment(line, pos, block) {
+    const column = pos + 1;
+    const name = this.scanParameter(line, pos + 1);
+    if (name.error) {
+      block.diagnostics.push({ column: column, message: 'Parameter ' + name.error });
+      return pos + 1;
+    }
+
+    let at = this.skipSpace(line, name.end);
+    if (line[at] !== '=') {
+      block.diagnostics.push({ column: at + 1, message: 'Expected "=" after #' + name.text });
+      return at;
+    }
+
+    let value = this.scanValue(line, at + 1);
+    let text = '';
+    for (;;) {
+      if (value.error) {
+        block.diagnostics.push({ column: column, message: 'Assignment to #' + name.text + ' ' + value.error });
+        return value.end;
+      }
+      text += value.text;
+      EXPRESSION_OPERATOR.lastIndex = value.end;
+      const operator = EXPRESSION_OPERATOR.exec(line);
+      if (!operator) break;
+      text += operator[1].toUpperCase();
+      value = this.scanValue(line, EXPRESSION_OPERATOR.lastIndex);
+    }
+
+    block.assignments.push({ name: name.text, value: text, column: column });
+    return value.end;
+  }
+
+  // One word value at pos: a signed number, #parameter, [expression] or
+  // function call. Returns { text, end } or { error, end }.
+  scanValue(line, pos) {
+    let at = this.skipSpace(line, pos);
+    let sign = '';
+    while (line[at] === '-' || line[at] === '+') {
+      sign += line[at];
+      at = this.skipSpace(line, at + 1);
+    }
+
+    const c = line[at];
+    if (c === undefined) return { error: 'has no value', end: at };
+
+    if (/[\d.]/.test(c)) {
+      NUMBER_TEXT.lastIndex = at;
+      const raw = NUMBER_TEXT.exec(line)[0];
+      const text = raw.replace(/\s+/g, '');
+      if (!/^(\d+\.?\d*|\.\d+)$/.test(text)) return { error: 'has a bad number "' + text + '"', end: at + raw.length };
+      return { text: sign + text, end: at + raw.trimEnd().length };
+    }
+
+    if (c === '[') {
+      const end = this.matchBracket(line, at);
+      if (end < 0) return { error: 'has an unclosed "["', end: line.length };
+      return { text: sign + this.squeeze(line.slice(at, end + 1)), end: end + 1 };
+    }
+
+    if (c === '#') {
+      const name = this.scanParameter(line, at + 1);
+      if (name.error) return name;
+      return { text: sign + '#' + name.text, end: name.end };
+    }
+
+    FUNCTION_NAME.lastIndex = at;
+    const fn = FUNCTION_NAME.exec(line);
+    if (fn) {
+      const open = FUNCTION_NAME.lastIndex - 1;
+      let end = this.matchBracket(line, open);
+      if (end < 0) return { error: 'has an unclosed "["', end: line.length };
+      // ATAN[y]/[x]
+      const slash = this.skipSpace(line, end + 1);
+      if (fn[1].toUpperCase() === 'ATAN' && line[slash] === '/') {
+        const second = this.skipSpace(line, slash + 1);
+        if (line[second] === '[') {
+          const close = this.matchBracket(line, second);
+          if (close < 0) return { error: 'has an unclosed "["', end: line.length };
+          end = close;
+        }
+      }
+      return { text: sign + this.squeeze(line.slice(at, end + 1)), end: end + 1 };
+    }
+
+    return { error: 'has no value', end: at };
+  }
+
+  // What follows a '#': <name>, a number, [expression] or another #
+  scanParameter(line, pos) {
+    const at = this.skipSpace(line, pos);
+    if (line[at] === '<') {
+      const close = line.indexOf('>', at);
+      if (close < 0) return { error: 'name is not closed with ">"', end: line.length };
+      return { text: line.slice(at, close + 1).replace(/\s+/g, '').toUpperCase(), end: close + 1 };
+    }
+    if (line[at] === '-' || line[at] === '+') return { error: 'number cannot be signed', end: at };
+    return this.scanValue(line, at);
+  }
+
+  // Index of the ']' closing the '[' at pos, or -1
+  matchBracket(line, pos) {
+    let depth = 0;
+    for (let i = pos; i < line.length; i++) {
+      if (line[i] === '[') depth++;
+      else if (line[i] === ']' && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  skipSpace(line, pos) {
+    while (line[pos] === ' ' || line[pos] === '\t') pos++;
+    return pos;
+  }
+
+  squeeze(text) {
+    return text.replace(/\s+/g, '').toUpperCase();
+  }
+
+  // Block text without comments, upper-cased
+  static stripComments(line) {
+    let text = '';
+    let depth = 0;
+    for (const c of line) {
+      if (c === ';' && !depth) break;
+      if (c === '(') depth++;
+      else if (c === ')' && depth) depth--;
+      else if (!depth) text += c;
+    }
+    return text.trim().toUpperCase();
+  }
+}
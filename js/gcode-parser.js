@@ -1,66 +1,385 @@
 /**
  * G-Code Parser
  * Parses G-code into toolpath segments for 3D visualization.
- * Handles Fanuc-style and LinuxCNC dialects.
+ * Handles Fanuc-style and LinuxCNC dialects; controller quirks come
+ * from the profiles in dialects.js.
  */
 
+// Arc planes keyed by G code. Axis order follows RS-274 so that G2 is
+// clockwise when looking down the positive linear axis.
+const ARC_PLANES = {
+  17: { axes: ['x', 'y'], linear: 'z', offsets: ['I', 'J'] },
+  18: { axes: ['z', 'x'], linear: 'y', offsets: ['K', 'I'] },
+  19: { axes: ['y', 'z'], linear: 'x', offsets: ['J', 'K'] }
+};
+
+// Canned drilling cycles keyed by G code: how the hole is pecked, whether
+// P dwells at the bottom, and whether the tool feeds or rapids back out.
+// G87 back boring is drawn as a plain bore.
+const CANNED_CYCLES = {
+  73: { peck: 'chipbreak', dwell: false, retract: 'rapid' },
+  74: { peck: null, dwell: true, retract: 'feed' },
+  76: { peck: null, dwell: true, retract: 'rapid' },
+  81: { peck: null, dwell: false, retract: 'rapid' },
+  82: { peck: null, dwell: true, retract: 'rapid' },
+  83: { peck: 'full', dwell: false, retract: 'rapid' },
+  84: { peck: null, dwell: true, retract: 'feed' },
+  85: { peck: null, dwell: false, retract: 'feed' },
+  86: { peck: null, dwell: true, retract: 'rapid' },
+  87: { peck: null, dwell: false, retract: 'rapid' },
+  88: { peck: null, dwell: true, retract: 'rapid' },
+  89: { peck: null, dwell: true, retract: 'feed' }
+};
+
+// Words carrying a length (or length per minute), scaled to mm in G20 programs
+const LENGTH_WORDS = ['X', 'Y', 'Z', 'I', 'J', 'K', 'R', 'Q', 'F', 'E'];
+const MM_PER_INCH = 25.4;
+
+// How far an R arc's radius may fall short of half its chord, in program
+// units, and still be drawn as a half circle: posts round R to their
+// output precision
+const ARC_RADIUS_TOLERANCE = { mm: 0.005, in: 0.0005 };
+
+// Warnings kept in the result; the rest are only counted
+const MAX_WARNINGS = 1000;
+
+// Slicer layer markers: ;LAYER:3 (Cura), ;LAYER_CHANGE (PrusaSlicer),
+// ; layer 3, Z = 0.6 (Simplify3D)
+const LAYER_COMMENT = /^(?:LAYER:\s*-?\d+|LAYER_CHANGE\b|layer \d+,)/i;
+
+// Rise (mm) that counts as a new layer in printer files without layer comments
+const LAYER_MIN_RISE = 0.0001;
+
+// Segment fields that must match for a laser move to extend the previous one
+const LASER_RUN_FIELDS = ['type', 'units', 'wcs', 'tool', 'feed', 'feedMode', 'spindle', 'rpm', 'coolant', 'power', 'parkMove'];
+
+// Feed rate modes by G code
+const FEED_MODES = { 93: 'inverse-time', 94: 'per-minute', 95: 'per-rev' };
+
+// Guard against lathe cycle words that would never reach the profile
+const MAX_CYCLE_PASSES = 10000;
+
+function emptyBounds() {
+  return {
+    min: { x: Infinity, y: Infinity, z: Infinity },
+    max: { x: -Infinity, y: -Infinity, z: -Infinity }
+  };
+}
+
+// Grow bounds to take in a point, or another box given as its min and max
+function extendBounds(bounds, min, max = min) {
+  bounds.min.x = Math.min(bounds.min.x, min.x);
+  bounds.min.y = Math.min(bounds.min.y, min.y);
+  bounds.min.z = Math.min(bounds.min.z, min.z);
+  bounds.max.x = Math.max(bounds.max.x, max.x);
+  bounds.max.y = Math.max(bounds.max.y, max.y);
+  bounds.max.z = Math.max(bounds.max.z, max.z);
+}
+
+// Height (mm) above the previous peck depth that G73/G83 rapid back down to
+const PECK_CLEARANCE = 0.25;
+
+// First of the X/Y/Z parameters holding the G28 and G30 home positions
+// (LinuxCNC numbering; all zero, machine home, until G28.1/G30.1)
+const HOME_PARAMETERS = { 28: 5161, 30: 5181 };
+
 class GCodeParser {
-  constructor() {
+  constructor(options = {}) {
+    this.options = Object.assign({
+      workOffsets: createWorkOffsetTable(),
+      viewCoordinates: 'machine', // or 'work': segments relative to their WCS
+      arcTolerance: 0.01, // max chord deviation from the true arc, mm
+      arcMinSegments: 2,
+      arcMaxSegments: 512,
+      mode: 'mill', // 'printer': E axis, extrusion and layers; 'laser': S is beam power;
+      // 'lathe': G18, G7/G8 diameter mode and turning cycles
+      laserMaxPower: 1000, // S for full laser power (Grbl $30)
+      rotaryAxis: 'none', // 'A', 'B' or 'C': wrap the toolpath around that axis
+      kinematics: null, // five-axis machine, see MachineKinematics; overrides rotaryAxis
+      toolTable: {}, // tool number -> { diameter, length } (mm), see tool-table.js
+      dialect: 'auto', // a DIALECT_NAMES entry, or 'auto' to detect from header comments
+      customDialect: null, // settings of the 'custom' dialect, see resolveDialect
+      handlerScript: '', // source that registers custom code handlers, see code-handlers.js
+      parkBounds: 'exclude', // or 'include': park and home moves count in the bounds
+      blockDelete: false // the block delete switch: skip lines starting with '/'
+    }, options);
+    this.handlers = this.options.handlerScript ? loadCodeHandlers(this.options.handlerScript) : new Map();
     this.reset();
   }
 
+  // Handle a custom G or M code ("G399", "M100") with
+  // handler(context: CodeHandlerContext); replaces any earlier handler
+  registerHandler(code, handler) {
+    if (typeof handler !== 'function') throw new Error('Handler for ' + code + ' is not a function');
+    this.handlers.set(normalizeCode(code), handler);
+  }
+
   reset() {
     this.x = 0;
     this.y = 0;
     this.z = 0;
-    this.feedRate = 0;
+    this.feedRate = 0; // F: mm/min, mm/rev in G95, 1/min in G93
+    this.feedMode = 94; // G94 units per minute
     this.absoluteMode = true; // G90 default
+    this.plane = this.options.mode === 'lathe' ? 18 : 17; // G17 XY default, G18 ZX on lathes
+    this.units = 'mm'; // G21 default; geometry is always stored in mm
+    this.retractMode = 98; // G98 return to initial level
+    this.cycle = null; // active canned cycle, cleared by G80
+    this.workOffsets = copyWorkOffsetTable(this.options.workOffsets); // G10 edits stay local
+    this.activeWcs = 54;
+    this.g92Offset = { x: 0, y: 0, z: 0 };
+    this.updateOffset();
+    this.tool = 0; // tool in the spindle, 0 = none yet
+    this.selectedTool = 0; // last T word, loaded by M6
+    this.toolChanges = [];
+    this.toolLength = null; // active G43 length offset; null for none (G49) or unknown
+    this.lengthTool = null; // H number of that offset; null for none or G43.1
+    this._lengthCheck = false; // check the offset against the tool at the next cut
+    this._lengthWarned = new Set(); // H numbers already reported missing
+    this.spindle = 'off'; // 'cw' (M3), 'ccw' (M4) or 'off' (M5)
+    this.rpm = 0;
+    this.mist = false; // M7
+    this.flood = false; // M8
+    this.warnings = []; // { line, message }
+    this.warningCount = 0;
+    this._pendingDwell = 0; // G4 before the first move
+    this._spindleWarningLine = 0;
     this.segments = [];
-    this.bounds = {
-      min: { x: Infinity, y: Infinity, z: Infinity },
-      max: { x: -Infinity, y: -Infinity, z: -Infinity }
-    };
+    this.bounds = emptyBounds();
+    // Leading segments handed off by takeSegments(), nulled in this.segments;
+    // what finish() needs of them is kept here
+    this._released = 0;
+    this._releasedBounds = { all: emptyBounds(), unparked: emptyBounds(), cut: emptyBounds() };
+    this._releasedInches = false;
     this.lineCount = 0;
     this.moveCount = 0;
     this._programEnded = false;
+    this._blocksRun = false; // a block with words has run, so '%' closes the program
+    this.programEnd = null; // { line, code } of the first M2/M30 or closing '%'
+    this.stops = []; // M0/M1 program stops: { line, segmentIndex, optional }
+    this.comments = []; // { line, text }
+    this.messages = []; // (MSG, ...) text: { line, text, segmentIndex }
+    this.lexer = new GCodeLexer();
+    this.expressions = new ExpressionEvaluator();
+    this.flow = new ProgramFlow(this.expressions);
+    this.pc = 0; // index of the next line to run
+    this.printer = this.options.mode === 'printer';
+    this.laser = this.options.mode === 'laser';
+    this.lathe = this.options.mode === 'lathe';
+    this.diameterMode = false; // G7: lathe X words are diameters, G8: radii; set by the dialect
+    this.roughing = { depth: 1, retract: 0.5 }; // G71 U/R, from its first block
+    this.threading = { finishPasses: 1, angle: 60, minDepth: 0, allowance: 0 }; // Fanuc G76 first block
+    this._capture = null; // profile points while a G71 reads its N blocks
+    this._inLatheCycle = false;
+    this.flow.retainLines = this.lathe;
+    this.e = 0; // extruder position
+    this.extruderRelative = false; // M83 (or G91) until M82 (or G90)
+    this._printMove = 'travel'; // what this block's moves do with filament
+    this.layers = []; // printer layers: { z, segmentIndex, line }
+    this._layerComments = false; // the slicer marks layers, so Z rises don't
+    const rotary = ROTARY_AXES[this.options.rotaryAxis] && { type: 'table', axes: [this.options.rotaryAxis] };
+    const kinematics = this.options.kinematics || rotary;
+    this.kinematics = kinematics ? new MachineKinematics(kinematics) : null;
+    this.angles = {}; // rotary axis positions, degrees
+    this.angleOffsets = {}; // G92 shifts of the rotary axes
+    for (const letter of this.kinematics ? this.kinematics.axes : []) {
+      this.angles[letter] = 0;
+      this.angleOffsets[letter] = 0;
+    }
+    this.tcp = false; // G43.4 / M128 tool center point control
+    this.comp = null; // CutterCompensation while G41/G42 is on
+    this._compTool = null; // tool center while compensating; x/y/z stay on the programmed path
+    this._gouge = false;
+    this.rotaryOrigin = null; // a point on the rotary axis, in the segment frame
+    this._unsupportedWarned = new Set(); // dialect codes already reported
+    this._parkMove = null; // 'home' while drawing a G28/G30 return
+    this._detectDialect = this.options.dialect === 'auto';
+    this.setDialect(this._detectDialect ? 'generic' : this.options.dialect);
+  }
+
+  // Switch to a dialect profile and take on its starting modal state
+  setDialect(name) {
+    this.dialect = resolveDialect(name, this.options.customDialect);
+    const modal = this.dialect.modal;
+    this.units = modal.units;
+    if (!this.lathe) this.plane = modal.plane;
+    this.absoluteMode = modal.absolute;
+    this.feedMode = this.lathe && this.dialect.latheFeedCodes ? 95 : modal.feedMode;
+    this.activeWcs = modal.wcs;
+    this.diameterMode = this.lathe && modal.diameter;
+    this.updateOffset();
+  }
+
+  // Auto-detect the dialect from the first lines read, before any runs
+  autoDetectDialect(lines) {
+    this._detectDialect = false;
+    const name = detectDialect(lines);
+    if (name) this.setDialect(name);
   }
 
   parse(gcodeText) {
+    this.begin();
+    this.parseChunk(gcodeText);
+    return this.finish();
+  }
+
+  // Incremental parsing for large files: begin(), parseChunk() for each
+  // piece of text in order (chunks may split lines), then finish().
+  begin() {
     this.reset();
-    const lines = gcodeText.split('\n');
-    this.lineCount = lines.length;
+    this._partialLine = '';
+  }
 
-    for (let i = 0; i < lines.length; i++) {
-      this.parseLine(lines[i], i + 1);
-    }
+  parseChunk(text) {
+    const lines = (this._partialLine + text).split('\n');
+    this._partialLine = lines.pop();
 
-    // Post-process: remove trailing rapids that go far outside the cut envelope
-    // (machine park moves at end of CV programs)
-    this.trimParkMoves();
+    this.lineCount += lines.length;
+    if (this._detectDialect && lines.length) this.autoDetectDialect(lines);
+    this.flow.append(lines);
+    this.run();
+  }
+
+  finish() {
+    this.lineCount++;
+    if (this._detectDialect) this.autoDetectDialect([this._partialLine]);
+    this.flow.append([this._partialLine]);
+    this._partialLine = '';
+    this.flow.eof = true;
+    this.run();
+    this.endCompensation();
+
+    // Post-process: mark trailing rapids that go far outside the cut envelope
+    // (machine park moves at end of router programs)
+    if (this.dialect.tagParkMoves) this.tagParkMoves();
+    this.recomputeBounds(this.options.parkBounds === 'include');
+    // A program of nothing but park and home moves is framed by all of them
+    if (this.bounds.min.x === Infinity && this.segments.length) this.recomputeBounds(true);
 
     return {
       segments: this.segments,
       bounds: this.bounds,
+      toolChanges: this.toolChanges,
+      layers: this.layers,
+      dialect: this.dialect.name,
+      stops: this.stops,
+      programEnd: this.programEnd,
+      rotary: this.kinematics && this.kinematics.type === 'table' ? {
+        axis: ROTARY_AXES[this.kinematics.axes[0]].axis,
+        origin: this.rotaryOrigin || { x: 0, y: 0, z: 0 }
+      } : null,
+      comments: this.comments,
+      messages: this.messages,
+      warnings: this.warnings,
+      warningCount: this.warningCount,
       stats: {
         lineCount: this.lineCount,
+        units: this._releasedInches || this.segments.some(seg => seg && seg.units === 'in') ? 'in' : 'mm',
         moveCount: this.segments.length,
         bounds: this.bounds
       }
     };
   }
 
+  // Hand over the segments nothing will change any more, so the worker can
+  // pack them while it reads: all of them after finish(), otherwise those
+  // up to the last cut (trailing rapids may become park moves) short of
+  // the newest (a dwell or laser run may still extend it)
+  takeSegments() {
+    let end = this.segments.length;
+    if (!this.flow.eof) {
+      let last = end - 1;
+      while (last >= this._released && this.segments[last].type === 'rapid') last--;
+      end = Math.min(last + 1, end - 1);
+    }
+    const taken = this.segments.slice(this._released, Math.max(end, this._released));
+    const bounds = this._releasedBounds;
+    for (const seg of taken) {
+      extendBounds(bounds.all, seg.from);
+      extendBounds(bounds.all, seg.to);
+      if (!seg.parkMove) {
+        extendBounds(bounds.unparked, seg.from);
+        extendBounds(bounds.unparked, seg.to);
+      }
+      if (seg.type !== 'rapid') {
+        extendBounds(bounds.cut, seg.from);
+        extendBounds(bounds.cut, seg.to);
+      }
+      if (seg.units === 'in') this._releasedInches = true;
+      this.segments[this._released++] = null;
+    }
+    return taken;
+  }
+
+  // Execute lines from the program counter until the program ends, the
+  // lines run out, or a jump needs lines that have not been read yet
+  run() {
+    const flow = this.flow;
+    while (!this._programEnded && flow.has(this.pc)) {
+      const index = this.pc;
+      if (!flow.ready(index)) break;
+
+      if (flow.statementAt(index)) {
+        try {
+          this.pc = flow.execute(index);
+        } catch (err) {
+          throw new Error('Line ' + (index + 1) + ': ' + err.message);
+        }
+        if (flow.diagnostics.length) this.flowWarnings();
+        continue;
+      }
+
+      const next = flow.skipDefinition(index);
+      if (next >= 0) {
+        this.pc = next;
+        continue;
+      }
+
+      this.pc = index + 1;
+      this.parseLine(flow.lineAt(index), index + 1);
+      if (flow.diagnostics.length) this.flowWarnings();
+    }
+    flow.release(this.pc);
+  }
+
+  flowWarnings() {
+    for (const diagnostic of this.flow.diagnostics) this.warn(diagnostic.line, diagnostic.message);
+    this.flow.diagnostics = [];
+  }
+
   parseLine(line, lineNumber) {
     if (this._programEnded) return;
+    this._machineCoords = false; // G53 is non-modal
 
-    // Strip comments: anything after ; or inside ()
-    line = line.replace(/;.*$/, '').replace(/\(.*?\)/g, '').trim().toUpperCase();
-    if (!line || line.startsWith('%') || line.startsWith('O')) return;
+    const block = this.lexer.lex(line);
+    if (block.programLine) return;
+    if (block.blockDelete && this.options.blockDelete) return;
+    if (block.tapeMarker) {
+      if (this._blocksRun) this.endProgram(lineNumber, '%');
+      return;
+    }
+    for (const diagnostic of block.diagnostics) {
+      this.warn(lineNumber, diagnostic.message, diagnostic.column);
+    }
+    for (const comment of block.comments) {
+      this.comments.push({ line: lineNumber, text: comment.text });
+      if (this.printer && LAYER_COMMENT.test(comment.text)) {
+        if (this._layerComments) this.startLayer(lineNumber);
+        else this.firstLayer(lineNumber);
+        this._layerComments = true;
+      }
+    }
+    for (const text of block.messages) {
+      this.messages.push({ line: lineNumber, text: text, segmentIndex: this.segments.length });
+    }
 
-    const words = this.tokenize(line);
-    if (!words.length) return;
+    const words = this.evaluateWords(block, lineNumber);
+    if (!words || !words.length) return;
+    this._blocksRun = true;
 
     // Extract G, M codes and parameters
     let gCodes = [];
+    let mCodes = [];
     let params = {};
 
     for (const word of words) {
@@ -68,6 +387,8 @@ class GCodeParser {
       const value = parseFloat(word.substring(1));
       if (letter === 'G') {
         gCodes.push(value);
+      } else if (letter === 'M') {
+        mCodes.push(value);
       } else if (letter === 'N') {
         // Line number — skip
       } else {
@@ -75,122 +396,1210 @@ class GCodeParser {
       }
     }
 
+    // Custom handlers take their codes before the dialect or built-ins see them
+    const handled = [];
+    if (this.handlers.size) {
+      for (const g of gCodes) if (this.handlers.has('G' + g)) handled.push('G' + g);
+      for (const m of mCodes) if (this.handlers.has('M' + m)) handled.push('M' + m);
+      gCodes = gCodes.filter(g => !this.handlers.has('G' + g));
+      mCodes = mCodes.filter(m => !this.handlers.has('M' + m));
+    }
+
+    // The dialect can pass over the block's motion or drop codes it does not draw
+    let passOver = false;
+    let homeCommand = null;
+    for (const [letter, codes] of [['G', gCodes], ['M', mCodes]]) {
+      for (const code of codes) {
+        const meaning = this.dialect.codes.get(letter + code);
+        if (meaning === 'unsupported' && !this._unsupportedWarned.has(letter + code)) {
+          this._unsupportedWarned.add(letter + code);
+          this.warn(lineNumber, letter + code + ' is not supported in the ' + this.dialect.label + ' dialect; block skipped');
+        }
+        if (meaning === 'skip' || meaning === 'unsupported') passOver = true;
+        if (meaning === 'home' && letter === 'G') homeCommand = code;
+      }
+    }
+    gCodes = gCodes.filter(g => this.dialect.codes.get('G' + g) !== 'ignore');
+    mCodes = mCodes.filter(m => this.dialect.codes.get('M' + m) !== 'ignore');
+
+    // Words as written, before unit and diameter scaling
+    const written = Object.assign({}, params);
+
     // Process G codes
+    let offsetCommand = null;
+    let latheCycle = null;
+    let compCommand = null;
+    let lengthCommand = null;
     for (const g of gCodes) {
+      if (WCS_CODES.includes(g)) {
+        this.activeWcs = g;
+        this.updateOffset();
+        continue;
+      }
       switch (g) {
-        case 90: this.absoluteMode = true; break;
-        case 91: this.absoluteMode = false; break;
-        case 20: break; // Inches
-        case 21: break; // Millimeters
-        case 28: return; // Machine home — no visible move
-        case 30: return; // Program end
-        case 399: return; // Custom cycle (CV sweep)
-        case 40: break; // Cutter comp cancel
-        case 42: break; // Cutter comp right
-        case 43: break; // Tool length offset
-        case 49: break; // Tool length offset cancel
-        case 80: break; // Canned cycle cancel
-        case 17: break; // XY plane
-        case 18: break; // XZ plane
-        case 19: break; // YZ plane
-        case 55: break; // Work coordinate system
+        case 90: this.absoluteMode = true; this.extruderRelative = false; break;
+        case 91: this.absoluteMode = false; this.extruderRelative = true; break;
+        case 93: // Inverse time feed
+        case 94: // Units per minute feed
+        case 95: // Units per revolution feed
+          this.feedMode = g;
+          break;
+        case 20: this.units = 'in'; break; // Inches
+        case 21: this.units = 'mm'; break; // Millimeters
+        case 40: // Cutter comp cancel
+        case 41: // Cutter comp left
+        case 42: // Cutter comp right
+        case 41.1: // Cutter comp with D as the diameter
+        case 42.1:
+          compCommand = g;
+          break;
+        case 43: // Tool length offset from the tool table
+        case 43.1: // Dynamic tool length offset (LinuxCNC): Z is the length
+          lengthCommand = g;
+          break;
+        case 43.4: // Tool center point control (LinuxCNC, Fanuc TCPC)
+        case 43.5:
+          this.tcp = true;
+          lengthCommand = 43;
+          break;
+        case 49: // Tool length offset and TCP cancel
+          this.tcp = false;
+          lengthCommand = 49;
+          break;
+        case 80: // Canned cycle cancel
+          this.cycle = null;
+          if (this._lastMoveType === 'cycle') this._lastMoveType = null;
+          break;
+        case 98: // Cycle return to initial level; feed per minute on Fanuc-style lathes
+        case 99: // Cycle return to R level; feed per revolution on Fanuc-style lathes
+          if (this.lathe && this.dialect.latheFeedCodes) this.feedMode = g === 98 ? 94 : 95;
+          else this.retractMode = g;
+          break;
+        case 17: this.plane = 17; break; // XY plane
+        case 18: this.plane = 18; break; // XZ plane
+        case 19: this.plane = 19; break; // YZ plane
+        case 7: this.diameterMode = true; break; // Lathe diameter mode
+        case 8: this.diameterMode = false; break; // Lathe radius mode
+        case 70: // Lathe finishing cycle
+        case 71: // Lathe roughing cycle
+          if (this.lathe) latheCycle = g;
+          break;
+        case 76: // Lathe threading cycle (fine boring on mills)
+          if (this.lathe) latheCycle = g;
+          break;
+        case 53: this._machineCoords = true; break; // Machine coordinates, this block only
+        case 28.1: this.storeHome(28); break; // Store the G28 home position
+        case 30.1: this.storeHome(30); break;
+        case 4: // Dwell — P (see dwellSeconds), or X or S (Marlin) seconds; the rest of the block still runs
+          if ('P' in params) {
+            this.addDwell(this.dwellSeconds(params.P));
+          } else if ('S' in params) {
+            this.addDwell(params.S);
+            delete params.S; // not a spindle speed here
+            delete written.S;
+          } else if ('X' in params) {
+            this.addDwell(params.X);
+            delete params.X; // not an axis word here
+            delete written.X;
+          }
+          break;
+        case 10: // Set WCS offsets (L2/L20); firmware retract on printers
+          if (this.printer) {
+            this.addExtruderMove('retract', lineNumber);
+            return;
+          }
+          offsetCommand = 10;
+          break;
+        case 11: // Firmware unretract
+          if (this.printer) {
+            this.addExtruderMove('unretract', lineNumber);
+            return;
+          }
+          break;
+        case 92: offsetCommand = 92; break; // Set G92 offset
+        case 92.1: // Cancel G92 offset
+        case 92.2:
+          this.g92Offset = { x: 0, y: 0, z: 0 };
+          this.updateOffset();
+          break;
       }
     }
+    if (passOver) return; // its modal codes still count
+
+    // Normalize inch words so all geometry downstream is in mm
+    if (this.units === 'in') {
+      for (const letter of LENGTH_WORDS) {
+        if (letter in params) params[letter] *= MM_PER_INCH;
+      }
+    }
+    if (this.lathe && this.diameterMode && 'X' in params) params.X /= 2;
+
+    // T preselects a tool, M6 puts it in the spindle
+    if ('T' in params) this.selectedTool = Math.round(params.T);
+    if (mCodes.includes(6)) this.changeTool(lineNumber);
+    if (this.printer && 'T' in params) this.changeTool(lineNumber); // extruders switch on T alone
+
+    // Feed, spindle and coolant starts take effect before the block's motion
+    if ('F' in params) this.feedRate = this.feedMode === 93 ? written.F : params.F; // 1/min is not a length
+    if ('S' in params) this.rpm = params.S;
+    if (mCodes.includes(3)) this.spindle = 'cw';
+    if (mCodes.includes(4)) this.spindle = 'ccw';
+    if (mCodes.includes(128)) this.tcp = true; // RTCP on
+    if (mCodes.includes(129)) this.tcp = false;
+    if (mCodes.includes(7)) this.mist = true;
+    if (mCodes.includes(8)) this.flood = true;
+
+    // G43.1 Z is a length, not a move
+    if (lengthCommand !== null) {
+      this.setToolLength(lengthCommand, params, lineNumber);
+      if (lengthCommand === 43.1) delete params.Z;
+    }
+
+    // Offset-setting blocks use axis words as data, not as a move
+    if (offsetCommand === 10) {
+      this.setWorkOffset(params, lineNumber);
+      return;
+    }
+    if (offsetCommand === 92) {
+      if ('E' in params) this.e = params.E;
+      this.setG92Offset(params);
+      return;
+    }
+
+    // Printers: E moves the extruder, absolute (M82) or relative (M83)
+    if (mCodes.includes(82)) this.extruderRelative = false;
+    if (mCodes.includes(83)) this.extruderRelative = true;
+    let extrusion = 0;
+    if (this.printer && 'E' in params) {
+      extrusion = this.extruderRelative ? params.E : params.E - this.e;
+      this.e += extrusion;
+    }
+    this._printMove = extrusion > 0 ? 'extrude' : extrusion < 0 ? 'retract' : 'travel';
+    const segmentCount = this.segments.length;
+
+    if (compCommand !== null) this.setCompensation(compCommand, params, written, lineNumber);
+
+    // A handler replaces the block's own move unless it returns true
+    let ownMove = true;
+    for (const code of handled) {
+      if (this.runHandler(code, params, written, lineNumber) !== true) ownMove = false;
+    }
+
+    if (latheCycle && ownMove) {
+      this.processLatheCycle(latheCycle, params, written, lineNumber);
+      return;
+    }
 
     // Determine move type from G codes
     let moveType = null;
+    let cycleCode = null;
     for (const g of gCodes) {
       if (g === 0) moveType = 'rapid';
       else if (g === 1) moveType = 'cut';
       else if (g === 2) moveType = 'cw_arc';
       else if (g === 3) moveType = 'ccw_arc';
+      else if (g in CANNED_CYCLES) { moveType = 'cycle'; cycleCode = g; }
     }
 
+    // Any other motion code cancels an active canned cycle
+    if (moveType && moveType !== 'cycle') this.cycle = null;
+
     // If no explicit G code but has coordinates, treat as linear move (modal behavior)
-    if (moveType === null && ('X' in params || 'Y' in params || 'Z' in params)) {
+    const rotaryWord = this.kinematics !== null && this.kinematics.axes.some(letter => letter in params);
+    if (moveType === null && ('X' in params || 'Y' in params || 'Z' in params || rotaryWord)) {
       moveType = this._lastMoveType || 'cut';
     }
+    if (!ownMove || homeCommand !== null) moveType = null;
+
+    if (moveType && moveType !== 'rapid') {
+      if (this.feedMode === 93 && !('F' in params)) this.warn(lineNumber, 'G93 move without an F word');
+      if (this.feedMode === 95 && !this.rpm) this.warn(lineNumber, 'Feed per revolution with no spindle speed');
+    }
+
+    if (this._lengthCheck && moveType && moveType !== 'rapid') this.checkToolLength(lineNumber);
+
+    if (this.comp && moveType === 'cycle') {
+      this.warn(lineNumber, 'Canned cycle with cutter compensation on; compensation ended');
+      this.endCompensation();
+    }
+
+    if (homeCommand !== null) this.returnHome(homeCommand, params, lineNumber);
 
     if (moveType) {
       this._lastMoveType = moveType;
-      if (moveType === 'cw_arc' || moveType === 'ccw_arc') {
+      if (this.comp) {
+        this.compensateMove(moveType, params, lineNumber);
+      } else if (moveType === 'cw_arc' || moveType === 'ccw_arc') {
         this.processArc(moveType, params, lineNumber);
+        this.rotateTo(this.resolveAngles(params), 'cut', lineNumber); // arcs do not turn rotary axes as they go
+      } else if (moveType === 'cycle') {
+        this.rotateTo(this.resolveAngles(params), 'rapid', lineNumber); // index, then drill
+        this.processCannedCycle(cycleCode, params, lineNumber);
       } else {
         this.processLinearMove(moveType, params, lineNumber);
       }
     }
 
-    if ('F' in params) this.feedRate = params.F;
+    if (this.feedMode === 93) this.applyInverseTime(segmentCount);
 
-    // M30/M02 = program end — stop parsing to skip park/home moves
-    for (const word of words) {
-      if (word === 'M30' || word === 'M02') this._programEnded = true;
+    // Extruder-only moves (retract, prime) still get a segment, in place
+    if (extrusion && this.segments.length === segmentCount) {
+      this.addExtruderMove(extrusion < 0 ? 'retract' : 'unretract', lineNumber);
     }
+
+    // ...and stops after it
+    if (mCodes.includes(5)) this.spindle = 'off';
+    if (mCodes.includes(9)) this.mist = this.flood = false;
+
+    // M0 program stop, M60 pallet change stop and M1 optional stop pause
+    // playback before the next move
+    if (mCodes.includes(0) || mCodes.includes(1) || mCodes.includes(60)) {
+      this.stops.push({
+        line: lineNumber,
+        segmentIndex: this.segments.length,
+        optional: !mCodes.includes(0) && !mCodes.includes(60)
+      });
+    }
+
+    // Subprogram call and return come after the block's motion
+    if (mCodes.includes(98)) {
+      this.pc = this.flow.callProgram(params.P ?? 0, params.L, this.pc, lineNumber);
+    }
+    if (mCodes.includes(99)) {
+      const next = this.flow.returnFromProgram();
+      if (next < 0) this._programEnded = true; // M99 in the main program loops forever
+      else this.pc = next;
+    }
+
+    // Program end (M2/M30 in most dialects): stop parsing to skip park/home moves
+    const end = mCodes.find(m => this.dialect.endCodes.includes('M' + m));
+    if (end !== undefined) this.endProgram(lineNumber, 'M' + end);
   }
 
-  tokenize(line) {
+  // Record the first program end. A closing '%' ends the tape; after an
+  // end code the dialect decides whether later blocks still run.
+  endProgram(lineNumber, code) {
+    if (!this.programEnd) this.programEnd = { line: lineNumber, code: code };
+    if (code === '%' || this.dialect.afterEnd === 'skip') this._programEnded = true;
+  }
+
+  // Evaluate the lexed words into strings such as "X12.5", then apply
+  // the block's "#n = value" assignments, so every read on a line sees
+  // the values from before it. Returns null when a value cannot be
+  // evaluated, after warning; the block is then skipped.
+  evaluateWords(block, lineNumber) {
     const words = [];
-    const regex = /([A-Z])-?[\d.]+/g;
-    let match;
-    while ((match = regex.exec(line)) !== null) {
-      words.push(match[0]);
+    const assignments = [];
+    let item;
+    try {
+      for (item of block.words) {
+        if (/^[-+]?[\d.]+$/.test(item.value)) {
+          words.push(item.letter + item.value);
+          continue;
+        }
+        const value = this.expressions.evaluate(item.value);
+        if (!isFinite(value)) throw new Error('value is not a finite number');
+        words.push(item.letter + value);
+      }
+      for (item of block.assignments) {
+        assignments.push({
+          name: this.expressions.parameter('#' + item.name),
+          value: this.expressions.evaluate(item.value)
+        });
+      }
+    } catch (err) {
+      this.warn(lineNumber, err.message + ' — block skipped', item.column);
+      return null;
     }
+
+    for (const { name, value } of assignments) this.expressions.set(name, value);
     return words;
   }
 
   processLinearMove(type, params, lineNumber) {
-    const startX = this.x;
-    const startY = this.y;
-    const startZ = this.z;
+    const x = this.resolveAxis(params, 'X', 'x');
+    const y = this.resolveAxis(params, 'Y', 'y');
+    const z = this.resolveAxis(params, 'Z', 'z');
+    const angles = this.resolveAngles(params);
+    if (angles !== this.angles) this.addRotaryMove(type, x, y, z, angles, lineNumber);
+    else this.addMove(type, x, y, z, lineNumber);
+  }
+
+  runHandler(code, params, written, lineNumber) {
+    const context = new CodeHandlerContext(this, code, Object.assign({}, params), written, lineNumber);
+    try {
+      return this.handlers.get(code)(context);
+    } catch (err) {
+      throw new Error('Line ' + lineNumber + ': ' + code + ' handler: ' + err.message);
+    }
+  }
+
+  // G28/G30: rapid through the block's axis words (the intermediate
+  // point), then send those axes, or all of them when none are given, to
+  // the home position. Both moves are drawn as home moves.
+  returnHome(code, params, lineNumber) {
+    this.endCompensation();
+    const axes = [['X', 'x'], ['Y', 'y'], ['Z', 'z']];
+    const named = axes.filter(([letter]) => letter in params);
+    this._parkMove = 'home';
+    if (named.length) {
+      this.addMove('rapid', this.resolveAxis(params, 'X', 'x'), this.resolveAxis(params, 'Y', 'y'),
+        this.resolveAxis(params, 'Z', 'z'), lineNumber);
+    }
+    const home = { x: this.x, y: this.y, z: this.z };
+    const base = HOME_PARAMETERS[code]; // other codes mapped to 'home' go to machine zero
+    axes.forEach(([letter, axis], i) => {
+      if (!named.length || letter in params) home[axis] = base ? this.expressions.get(base + i) : 0;
+    });
+    this.addMove('rapid', home.x, home.y, home.z, lineNumber);
+    this._parkMove = null;
+  }
+
+  // G28.1/G30.1: the current machine position becomes the home position
+  storeHome(code) {
+    const base = HOME_PARAMETERS[code];
+    this.expressions.set(base, this.x);
+    this.expressions.set(base + 1, this.y);
+    this.expressions.set(base + 2, this.z);
+  }
+
+  // G40 ends cutter compensation. G41/G42 offset the tool left/right by
+  // the radius of tool D (default: the tool in the spindle) from the tool
+  // table; G41.1/G42.1 take the diameter from D itself.
+  setCompensation(code, params, written, lineNumber) {
+    this.endCompensation();
+    if (code === 40) return;
 
-    if (this.absoluteMode) {
-      if ('X' in params) this.x = params.X;
-      if ('Y' in params) this.y = params.Y;
-      if ('Z' in params) this.z = params.Z;
+    if (this.plane !== 17) {
+      this.warn(lineNumber, 'G' + code + ' outside the XY plane is drawn uncompensated');
+      return;
+    }
+    let diameter;
+    if (code === 41.1 || code === 42.1) {
+      diameter = (written.D ?? 0) * (this.units === 'in' ? MM_PER_INCH : 1);
     } else {
-      if ('X' in params) this.x += params.X;
-      if ('Y' in params) this.y += params.Y;
-      if ('Z' in params) this.z += params.Z;
+      const tool = 'D' in params ? Math.round(params.D) : this.tool;
+      diameter = this.options.toolTable[tool]?.diameter;
+      if (!(diameter > 0)) {
+        this.warn(lineNumber, 'G' + code + ': no diameter for tool ' + tool + ' in the tool table; path drawn uncompensated');
+        return;
+      }
     }
+    if (!(diameter > 0)) return;
 
-    // Skip zero-length moves
-    if (startX === this.x && startY === this.y && startZ === this.z) return;
+    this.comp = new CutterCompensation(Math.floor(code) === 41 ? 'left' : 'right', diameter / 2, this);
+    this._compTool = { x: this.x, y: this.y, z: this.z };
+  }
 
-    this.updateBounds(this.x, this.y, this.z);
-    this.moveCount++;
+  // Draw the move compensation still holds; the tool stays where it ends
+  endCompensation() {
+    if (!this.comp) return;
+    this.drawCompensated(this.comp.finish());
+    this.x = this._compTool.x;
+    this.y = this._compTool.y;
+    this.z = this._compTool.z;
+    this.comp = null;
+  }
 
-    this.segments.push({
-      type: type,
-      from: { x: startX, y: startY, z: startZ },
-      to: { x: this.x, y: this.y, z: this.z },
-      line: lineNumber
+  // Hand a programmed move to cutter compensation and draw the tool
+  // center moves it releases
+  compensateMove(type, params, lineNumber) {
+    const from = { x: this.x, y: this.y, z: this.z };
+    const to = this.arcEnd(params);
+    const move = { type: type, from: from, to: to, line: lineNumber };
+    if (type === 'cw_arc' || type === 'ccw_arc') {
+      move.center = this.arcCenter(type, params, to, lineNumber);
+      if (!move.center) return;
+    }
+
+    this.drawCompensated(this.comp.move(move));
+    this.x = to.x;
+    this.y = to.y;
+    this.z = to.z;
+  }
+
+  // Compensated moves start at the tool center, not the programmed position
+  drawCompensated(moves) {
+    const programmed = { x: this.x, y: this.y, z: this.z };
+    this.x = this._compTool.x;
+    this.y = this._compTool.y;
+    this.z = this._compTool.z;
+    for (const move of moves) {
+      if (move.gouge) this.warn(move.line, 'Cutter compensation gouge: ' + move.gouge);
+      this._gouge = !!move.gouge;
+      if (move.center) this.addArc(move.type, move.to, move.center, move.line);
+      else this.addMove(move.type, move.to.x, move.to.y, move.to.z, move.line);
+    }
+    this._gouge = false;
+    this._compTool = { x: this.x, y: this.y, z: this.z };
+    this.x = programmed.x;
+    this.y = programmed.y;
+    this.z = programmed.z;
+  }
+
+  // Feed in mm/min for the next segment. G95 feeds per spindle turn; G93
+  // feeds are filled in once the block's length is known.
+  linearFeed() {
+    if (this.feedMode === 95) return this.feedRate * this.rpm;
+    if (this.feedMode === 93) return 0;
+    return this.feedRate;
+  }
+
+  // G93: F is the inverse of the minutes the whole block takes, so its
+  // feed moves from segment index `first` on share the feed covering
+  // their combined length in that time
+  applyInverseTime(first) {
+    const moves = this.segments.slice(first).filter(seg => seg.type !== 'rapid');
+    let length = 0;
+    for (const seg of moves) {
+      length += Math.hypot(seg.to.x - seg.from.x, seg.to.y - seg.from.y, seg.to.z - seg.from.z);
+    }
+    for (const seg of moves) seg.feed = length * this.feedRate;
+  }
+
+  warn(lineNumber, message, column) {
+    this.warningCount++;
+    if (this.warnings.length < MAX_WARNINGS) {
+      const warning = { line: lineNumber, message: message };
+      if (column) warning.column = column;
+      this.warnings.push(warning);
+    }
+  }
+
+  // Zero-length segment for a retract or unretract that moves no axis
+  addExtruderMove(kind, lineNumber) {
+    const at = { x: this.x, y: this.y, z: this.z };
+    this._printMove = kind;
+    this.pushSegment('cut', at, { x: at.x, y: at.y, z: at.z }, lineNumber);
+  }
+
+  // Open a new printer layer at the next segment, unless the current
+  // layer is still empty
+  startLayer(lineNumber) {
+    const current = this.layers[this.layers.length - 1];
+    if (current && current.segmentIndex === this.segments.length) return current;
+    const layer = { z: null, segmentIndex: this.segments.length, line: lineNumber };
+    this.layers.push(layer);
+    return layer;
+  }
+
+  // The slicer's first layer marker: the start code's moves before it
+  // (homing, purge line) join that layer, so numbering matches the slicer
+  firstLayer(lineNumber) {
+    // Segments already handed off keep their layers
+    if (this._released) {
+      this.startLayer(lineNumber);
+      return;
+    }
+    for (const seg of this.segments) seg.layer = 0;
+    this.layers = [{ z: null, segmentIndex: 0, line: lineNumber }];
+  }
+
+  // Layer index for a printer segment about to be pushed. Without slicer
+  // layer comments, an extrusion above the current layer starts the next.
+  layerOf(seg) {
+    let layer = this.layers[this.layers.length - 1] || this.startLayer(seg.line);
+    if (seg.printMove === 'extrude') {
+      if (layer.z !== null && !this._layerComments && seg.to.z > layer.z + LAYER_MIN_RISE) {
+        layer = this.startLayer(seg.line);
+      }
+      if (layer.z === null) layer.z = seg.to.z;
+    }
+    return this.layers.length - 1;
+  }
+
+  // A P dwell is seconds, or milliseconds when written as an integer on
+  // controls that count it that way (Fanuc, Haas)
+  dwellSeconds(p) {
+    return this.dialect.integerDwellMs && Number.isInteger(p) ? p / 1000 : p;
+  }
+
+  // Dwells are carried on the segment they follow
+  addDwell(seconds) {
+    if (!(seconds > 0)) return;
+    const last = this.segments[this.segments.length - 1];
+    if (last) last.dwell = (last.dwell || 0) + seconds;
+    else this._pendingDwell += seconds;
+  }
+
+  coolantState() {
+    if (this.mist && this.flood) return 'mist+flood';
+    if (this.mist) return 'mist';
+    if (this.flood) return 'flood';
+    return 'off';
+  }
+
+  changeTool(lineNumber) {
+    if (this.selectedTool === this.tool && this.toolChanges.length) return;
+    this.tool = this.selectedTool;
+    this.toolChanges.push({
+      tool: this.tool,
+      line: lineNumber,
+      segmentIndex: this.segments.length
     });
+    this._lengthCheck = true;
   }
 
-  processArc(type, params, lineNumber) {
+  // G43 H applies a tool's length from the tool table (H defaults to the
+  // tool in the spindle), G43.1 Z a length given in the block, G49 none.
+  // Z stays the tool tip; an offset that is not the spindle tool's own
+  // length shows as the tip off the programmed Z from the next Z word on.
+  setToolLength(code, params, lineNumber) {
+    if (code === 49) {
+      this.toolLength = null;
+      this.lengthTool = null;
+      return;
+    }
+    if (code === 43.1) {
+      this.toolLength = params.Z ?? 0;
+      this.lengthTool = null;
+      return;
+    }
+
+    const h = 'H' in params ? Math.round(params.H) : this.tool;
+    const tool = this.options.toolTable[h];
+    if (!tool) {
+      if (!this._lengthWarned.has(h)) {
+        this._lengthWarned.add(h);
+        this.warn(lineNumber, 'G43 H' + h + ': tool ' + h + ' is not in the tool table; no length offset applied');
+      }
+      this.toolLength = null;
+    } else {
+      this.toolLength = tool.length || 0;
+    }
+    this.lengthTool = h;
+    if (h !== this.tool) this.warn(lineNumber, 'G43 H' + h + ' with tool ' + this.tool + ' in the spindle');
+    this._lengthCheck = false;
+  }
+
+  // First cut after a tool change: is the length offset for this tool?
+  checkToolLength(lineNumber) {
+    this._lengthCheck = false;
+    if (this.lengthTool !== null) {
+      if (this.lengthTool !== this.tool) {
+        this.warn(lineNumber, 'Tool ' + this.tool + ' cuts with the length offset of H' + this.lengthTool);
+      }
+    } else if (this.toolLength === null && this.options.toolTable[this.tool]?.length) {
+      this.warn(lineNumber, 'Tool ' + this.tool + ' cuts without a G43 length offset');
+    }
+  }
+
+  // How far the tool tip lands above the programmed Z: the active length
+  // offset less the length of the tool in the spindle. 0 when they agree,
+  // and when there is no offset or either length is unknown.
+  lengthError() {
+    const length = this.options.toolTable[this.tool]?.length;
+    if (this.toolLength === null || !length) return 0;
+    return this.toolLength - length;
+  }
+
+  // Resolve an axis word to a machine coordinate, honoring G90/G91 and
+  // the active work offset (or G53 machine coordinates). Z is the tool
+  // tip, off the programmed Z only by a length offset mismatch.
+  resolveAxis(params, letter, axis) {
+    if (!(letter in params)) return this[axis];
+    if (!this.absoluteMode) return this[axis] + params[letter];
+    if (this._machineCoords) return params[letter];
+    return params[letter] + this.offset[axis] + (axis === 'z' ? this.lengthError() : 0);
+  }
+
+  // Targets of the rotary axis words in degrees, honoring G90/G91 and
+  // G92. Returns this.angles itself when no rotary axis moves.
+  resolveAngles(params) {
+    let angles = this.angles;
+    for (const letter of this.kinematics ? this.kinematics.axes : []) {
+      if (!(letter in params)) continue;
+      const angle = this.absoluteMode ? params[letter] + this.angleOffsets[letter] : this.angles[letter] + params[letter];
+      if (angle === angles[letter]) continue;
+      if (angles === this.angles) angles = Object.assign({}, this.angles);
+      angles[letter] = angle;
+    }
+    return angles;
+  }
+
+  // Active work offset: selected WCS plus any G92 shift
+  updateOffset() {
+    const wcs = this.workOffsets[this.activeWcs];
+    this.offset = {
+      x: wcs.x + this.g92Offset.x,
+      y: wcs.y + this.g92Offset.y,
+      z: wcs.z + this.g92Offset.z
+    };
+  }
+
+  // G10 L2 sets a WCS origin directly; G10 L20 sets it so the current
+  // position reads as the given coordinates. P0 is the active system.
+  setWorkOffset(params, lineNumber) {
+    const l = params.L;
+    if (l !== 2 && l !== 20) return;
+
+    const p = Math.round(params.P ?? 0);
+    const code = p === 0 ? this.activeWcs : WCS_CODES[p - 1];
+    if (code === undefined) {
+      throw new Error('Line ' + lineNumber + ': G10 P' + p + ' is not a coordinate system');
+    }
+
+    const wcs = this.workOffsets[code];
+    for (const [letter, axis] of [['X', 'x'], ['Y', 'y'], ['Z', 'z']]) {
+      if (!(letter in params)) continue;
+      const position = this[axis] - (axis === 'z' ? this.lengthError() : 0);
+      wcs[axis] = l === 2 ? params[letter] : position - this.g92Offset[axis] - params[letter];
+    }
+    this.updateOffset();
+  }
+
+  // G92: shift coordinates so the current position reads as the given values
+  setG92Offset(params) {
+    const wcs = this.workOffsets[this.activeWcs];
+    for (const [letter, axis] of [['X', 'x'], ['Y', 'y'], ['Z', 'z']]) {
+      const position = this[axis] - (axis === 'z' ? this.lengthError() : 0);
+      if (letter in params) this.g92Offset[axis] = position - wcs[axis] - params[letter];
+    }
+    for (const letter of this.kinematics ? this.kinematics.axes : []) {
+      if (letter in params) this.angleOffsets[letter] = this.angles[letter] - params[letter];
+    }
+    this.updateOffset();
+  }
+
+  // Emit a straight move from the current position and advance to it
+  addMove(type, x, y, z, lineNumber) {
     const startX = this.x;
     const startY = this.y;
     const startZ = this.z;
 
-    const endX = this.absoluteMode ? (params.X ?? this.x) : this.x + (params.X ?? 0);
-    const endY = this.absoluteMode ? (params.Y ?? this.y) : this.y + (params.Y ?? 0);
-    const endZ = this.absoluteMode ? (params.Z ?? this.z) : this.z + (params.Z ?? 0);
+    // Skip zero-length moves
+    if (startX === x && startY === y && startZ === z) return null;
+
+    this.x = x;
+    this.y = y;
+    this.z = z;
+
+    this.moveCount++;
+
+    return this.pushSegment(type,
+      { x: startX, y: startY, z: startZ },
+      { x: x, y: y, z: z },
+      lineNumber);
+  }
+
+  // Move that turns rotary axes, split into steps so the chords stay
+  // within arcTolerance of the curve they trace on the part
+  addRotaryMove(type, x, y, z, angles, lineNumber) {
+    const kinematics = this.kinematics;
+    const start = { x: this.x, y: this.y, z: this.z, angles: this.angles };
+    const end = { x: x, y: y, z: z, angles: angles };
+    const radius = Math.max(kinematics.sweepRadius(start, this.offset), kinematics.sweepRadius(end, this.offset));
+    const turn = Math.max(...kinematics.axes.map(letter => Math.abs(angles[letter] - start.angles[letter])));
+    const steps = this.arcSegmentCount(radius, turn * Math.PI / 180);
+
+    let prev = start;
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const next = { angles: {} };
+      for (const key of ['x', 'y', 'z']) next[key] = start[key] + (end[key] - start[key]) * t;
+      for (const letter of kinematics.axes) {
+        next.angles[letter] = start.angles[letter] + (angles[letter] - start.angles[letter]) * t;
+      }
+      this.pushSegment(type, prev, next, lineNumber);
+      prev = next;
+    }
+
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.angles = angles;
+    this.moveCount++;
+  }
+
+  // Turn rotary axes in place
+  rotateTo(angles, type, lineNumber) {
+    if (angles !== this.angles) this.addRotaryMove(type, this.x, this.y, this.z, angles, lineNumber);
+  }
+
+  // Tool tip and axis on the part for a machine point, which may carry
+  // the rotary angles it is at as `angles`. Table axes turn about the
+  // work origin unless the kinematics give a table center, as rotary
+  // setups put the work origin on the axis centerline.
+  toolPose(p) {
+    return this.kinematics.pose(p, p.angles || this.angles, this.offset, this.tcp);
+  }
+
+  // Stamp the modal state on a segment and store it in the frame the
+  // viewer asked for. Positions are tracked in machine coordinates.
+  // On rotary machines positions are carried onto the part.
+  pushSegment(type, from, to, lineNumber, arc) {
+    if (this._capture) {
+      this._capture.push({ x: to.x, z: to.z });
+      return null;
+    }
+
+    let arcCenter = arc && arc.center;
+    let toolAxis = null;
+    if (this.kinematics) {
+      const pose = this.toolPose(to);
+      from = this.toolPose(from).tip;
+      to = pose.tip;
+      toolAxis = pose.axis;
+      if (arcCenter) arcCenter = this.toolPose(arcCenter).tip;
+      if (!this.rotaryOrigin) {
+        const work = this.options.viewCoordinates === 'work';
+        this.rotaryOrigin = work ? { x: 0, y: 0, z: 0 } : { x: this.offset.x, y: this.offset.y, z: this.offset.z };
+      }
+    }
+    if (this.options.viewCoordinates === 'work') {
+      const o = this.offset;
+      from = { x: from.x - o.x, y: from.y - o.y, z: from.z - o.z };
+      to = { x: to.x - o.x, y: to.y - o.y, z: to.z - o.z };
+      if (arcCenter) arcCenter = { x: arcCenter.x - o.x, y: arcCenter.y - o.y, z: arcCenter.z - o.z };
+    }
+
+    const seg = {
+      type: type,
+      from: from,
+      to: to,
+      line: lineNumber,
+      units: this.units,
+      wcs: this.activeWcs,
+      tool: this.tool,
+      feed: this.linearFeed(),
+      feedMode: FEED_MODES[this.feedMode],
+      spindle: this.spindle,
+      rpm: this.rpm,
+      coolant: this.coolantState()
+    };
+
+    if (this.options.kinematics) seg.toolAxis = toolAxis;
+    if (this._gouge) seg.gouge = true;
+    if (this._parkMove) seg.parkMove = this._parkMove;
+
+    if (arc) {
+      seg.arcCenter = arcCenter;
+      seg.arcRadius = arc.radius;
+      seg.arcDirection = arc.direction;
+      seg.arcPlane = arc.plane;
+    }
+
+    if (this.printer) {
+      seg.printMove = this._printMove;
+      seg.layer = this.layerOf(seg);
+      if (seg.printMove !== 'extrude') seg.travel = true;
+    }
+
+    if (this.laser) {
+      seg.power = this.laserPower(type);
+      if (!seg.power) seg.travel = true;
+    }
+
+    // Feeding into material with the spindle stopped is a crash waiting to happen
+    if (type !== 'rapid' && this.spindle === 'off' && !this.printer && !this.laser) {
+      seg.spindleStopped = true;
+      if (this._spindleWarningLine !== lineNumber) {
+        this._spindleWarningLine = lineNumber;
+        this.warn(lineNumber, 'Cutting move with spindle stopped');
+      }
+    }
+
+    if (this._pendingDwell) {
+      seg.dwell = this._pendingDwell;
+      this._pendingDwell = 0;
+    }
+
+    // Raster engravings are runs of tiny moves; one that carries straight
+    // on at the same power extends the previous segment instead
+    if (this.laser && this.extendLaserRun(seg)) return this.segments[this.segments.length - 1];
+
+    this.segments.push(seg);
+    return seg;
+  }
+
+  // Lathe cycles: G71 roughing and G70 finishing (Fanuc two-block form,
+  // profile in blocks N(P)..N(Q)) and G76 threading (LinuxCNC or Fanuc
+  // two-block form).
+  // `written` holds the words before inch and diameter scaling.
+  processLatheCycle(code, params, written, lineNumber) {
+    if (this._inLatheCycle) {
+      this.warn(lineNumber, 'G' + code + ' inside a lathe cycle profile ignored');
+      return;
+    }
+    const scale = this.units === 'in' ? MM_PER_INCH : 1;
+
+    if (code === 76) {
+      if ('I' in written || 'J' in written || 'K' in written) this.threadingCycle(params, written, scale, lineNumber);
+      else if ('X' in written || 'Z' in written) this.fanucThreadingCycle(params, written, lineNumber);
+      else this.setThreading(written, scale);
+      return;
+    }
+    if (code === 71 && !('P' in written && 'Q' in written)) {
+      // First G71 block: depth of cut and retract
+      if ('U' in written) this.roughing.depth = Math.abs(written.U) * scale;
+      if ('R' in written) this.roughing.retract = Math.abs(written.R) * scale;
+      return;
+    }
+
+    // G71's profile follows it; G70 usually finishes one defined earlier
+    const first = this.flow.findSequence(written.P, code === 71 ? this.pc : this.flow.lineBase);
+    const last = first < 0 ? -1 : this.flow.findSequence(written.Q, first);
+    if (last < 0) {
+      this.warn(lineNumber, 'G' + code + ' profile N' + written.P + '-N' + written.Q + ' not found — block skipped');
+      return;
+    }
+
+    this._inLatheCycle = true;
+    try {
+      if (code === 70) {
+        const start = { x: this.x, y: this.y, z: this.z };
+        this.runBlocks(first, last);
+        this.addMove('rapid', start.x, start.y, start.z, lineNumber);
+      } else {
+        this.roughingCycle(first, last, written, scale, lineNumber);
+        if (last >= this.pc) this.pc = last + 1; // the profile blocks only describe the part
+      }
+    } finally {
+      this._inLatheCycle = false;
+    }
+  }
+
+  // Run the blocks at line indexes first..last in place
+  runBlocks(first, last) {
+    for (let index = first; index <= last; index++) {
+      if (!this.flow.statementAt(index)) this.parseLine(this.flow.lineAt(index), index + 1);
+    }
+  }
+
+  // The X/Z points the blocks first..last move through, starting at the
+  // current position, without emitting segments or changing modal state
+  captureProfile(first, last) {
+    const saved = {
+      x: this.x, y: this.y, z: this.z, feedRate: this.feedRate, moveCount: this.moveCount,
+      absoluteMode: this.absoluteMode, diameterMode: this.diameterMode, units: this.units,
+      plane: this.plane, _lastMoveType: this._lastMoveType
+    };
+    const commentCount = this.comments.length;
+    const messageCount = this.messages.length;
+    this._capture = [{ x: this.x, z: this.z }];
+    try {
+      this.runBlocks(first, last);
+      return this._capture;
+    } finally {
+      this._capture = null;
+      Object.assign(this, saved);
+      this.comments.length = commentCount; // read again by the cycle's own passes
+      this.messages.length = messageCount;
+    }
+  }
+
+  // G71 type I stock removal: passes parallel to Z, stepping the depth
+  // of cut towards the profile, then one pass along the profile offset
+  // by the finishing allowances U (X) and W (Z)
+  roughingCycle(first, last, written, scale, lineNumber) {
+    const start = { x: this.x, z: this.z };
+    const y = this.y;
+    const points = this.captureProfile(first, last).slice(1);
+    if (points.length < 2) {
+      this.warn(lineNumber, 'G71 profile has no moves');
+      return;
+    }
+
+    let allowanceX = Math.abs(written.U ?? 0) * scale;
+    if (this.diameterMode) allowanceX /= 2;
+    const allowanceZ = (written.W ?? 0) * scale;
+    const side = Math.sign(start.x - points[0].x) || 1; // +1 turning outside, -1 boring
+    const contour = points.map(p => ({ x: p.x + side * allowanceX, z: p.z + allowanceZ }));
+    const along = Math.sign(contour[contour.length - 1].z - contour[0].z) || -1;
+
+    for (let i = 1; i < contour.length; i++) {
+      if (side * (contour[i].x - contour[i - 1].x) < -1e-9) {
+        this.warn(lineNumber, 'G71 profile is not monotonic in X; pockets are not roughed');
+        break;
+      }
+    }
+
+    const { depth, retract } = this.roughing;
+    let x = start.x - side * depth;
+    for (let pass = 0; side * (x - contour[0].x) > 1e-9 && pass < MAX_CYCLE_PASSES; pass++) {
+      const z = this.profileCrossing(contour, x, side);
+      this.addMove('rapid', x, y, start.z, lineNumber);
+      this.addMove('cut', x, y, z, lineNumber);
+      this.addMove('cut', x + side * retract, y, z - along * retract, lineNumber);
+      this.addMove('rapid', x + side * retract, y, start.z, lineNumber);
+      x -= side * depth;
+    }
+
+    this.addMove('rapid', contour[0].x, y, contour[0].z, lineNumber);
+    for (const p of contour) this.addMove('cut', p.x, y, p.z, lineNumber);
+    this.addMove('rapid', start.x, y, this.z, lineNumber);
+    this.addMove('rapid', start.x, y, start.z, lineNumber);
+  }
+
+  // Z where the contour first reaches level x, or its end if it never does
+  profileCrossing(contour, x, side) {
+    for (let i = 1; i < contour.length; i++) {
+      const p = contour[i - 1];
+      const q = contour[i];
+      if (side * (p.x - x) < 0 && side * (q.x - x) >= 0) {
+        return p.z + (x - p.x) / (q.x - p.x) * (q.z - p.z);
+      }
+    }
+    return contour[contour.length - 1].z;
+  }
+
+  // G76 P(pitch) Z(end) I(crest offset from the drive line, negative
+  // outside) J(first depth) K(thread depth) R(degression) Q(infeed angle)
+  // H(spring passes). The drive line is the X the cycle starts at.
+  threadingCycle(params, written, scale, lineNumber) {
+    const pitch = (written.P ?? 0) * scale;
+    const offset = params.I ?? 0;
+    const firstDepth = Math.abs(params.J ?? 0);
+    const fullDepth = Math.abs(params.K ?? 0);
+    if (!(pitch > 0) || !offset || !(firstDepth > 0) || !(fullDepth > 0)) {
+      this.warn(lineNumber, 'G76 needs P, I, J and K — block skipped');
+      return;
+    }
+    if ('E' in params || 'L' in params) this.warn(lineNumber, 'G76 taper (E, L) is not drawn');
+
+    const degression = Math.max(written.R ?? 1, 1);
+    const springPasses = Math.max(0, Math.round(written.H ?? 0));
+
+    // Pass n cuts to J * n^(1/R), until the full depth, then spring passes
+    const depths = [];
+    for (let n = 1; depths.length < MAX_CYCLE_PASSES; n++) {
+      const d = firstDepth * Math.pow(n, 1 / degression);
+      if (d > fullDepth - 1e-6) break;
+      depths.push(d);
+    }
+    for (let n = 0; n <= springPasses; n++) depths.push(fullDepth);
+
+    this.cutThread(depths, {
+      pitch: pitch,
+      crest: this.x + offset,
+      side: Math.sign(offset),
+      endZ: this.resolveAxis(params, 'Z', 'z'),
+      infeed: Math.tan((written.Q ?? 0) * Math.PI / 180)
+    }, lineNumber);
+  }
+
+  // First block of the Fanuc two-block G76: P(finishing passes, chamfer,
+  // tool angle as mmrraa) Q(least depth of cut) R(finishing allowance)
+  setThreading(written, scale) {
+    if ('P' in written) {
+      this.threading.finishPasses = Math.max(Math.floor(written.P / 10000), 1);
+      this.threading.angle = written.P % 100;
+    }
+    if ('Q' in written) this.threading.minDepth = Math.abs(written.Q) * this.leastIncrement();
+    if ('R' in written) this.threading.allowance = Math.abs(written.R) * scale;
+  }
+
+  // Second block: X(root) Z(end) R(taper) P(thread height) Q(first depth)
+  // F(lead). P and Q are radius values in least input increments; pass n
+  // cuts to Q * sqrt(n), so every pass removes about the same area.
+  fanucThreadingCycle(params, written, lineNumber) {
+    const height = Math.abs(written.P ?? 0) * this.leastIncrement();
+    const firstDepth = Math.abs(written.Q ?? 0) * this.leastIncrement();
+    const pitch = params.F ?? this.feedRate;
+    if (!(height > 0) || !(firstDepth > 0) || !(pitch > 0)) {
+      this.warn(lineNumber, 'G76 needs P, Q and F — block skipped');
+      return;
+    }
+    if (written.R) this.warn(lineNumber, 'G76 taper (R) is not drawn');
+
+    const { finishPasses, angle, minDepth, allowance } = this.threading;
+    const root = this.resolveAxis(params, 'X', 'x');
+    const side = Math.sign(root - this.x) || -1;
+    const roughDepth = Math.max(height - allowance, 0);
+    const depths = [];
+    let d = 0;
+    for (let n = 1; depths.length < MAX_CYCLE_PASSES; n++) {
+      d = Math.max(firstDepth * Math.sqrt(n), d + minDepth);
+      if (d > roughDepth - 1e-6) break; // a pass that rounds onto the last depth is that pass
+      depths.push(d);
+    }
+    if (allowance > 0 && roughDepth > 0) depths.push(roughDepth);
+    for (let n = 0; n < finishPasses; n++) depths.push(height);
+
+    this.cutThread(depths, {
+      pitch: pitch,
+      crest: root - side * height,
+      side: side,
+      endZ: this.resolveAxis(params, 'Z', 'z'),
+      infeed: Math.tan(angle / 2 * Math.PI / 180)
+    }, lineNumber);
+  }
+
+  // Fanuc's integer P/Q words count 0.001 mm or 0.0001 in
+  leastIncrement() {
+    return this.units === 'in' ? 0.0001 * MM_PER_INCH : 0.001;
+  }
+
+  // Threading passes at each depth below the crest, fed in along the
+  // flank from the drive line (the X the cycle starts at), then back to
+  // the start
+  cutThread(depths, thread, lineNumber) {
+    const { pitch, crest, side, endZ, infeed } = thread;
+    const driveX = this.x;
+    const startZ = this.z;
+    const y = this.y;
+    const along = Math.sign(endZ - startZ) || -1;
+
+    // The spindle turns once per pitch of travel
+    const feedRate = this.feedRate;
+    if (this.feedMode === 95) this.feedRate = pitch;
+    else if (this.rpm > 0) this.feedRate = pitch * this.rpm;
+    for (const d of depths) {
+      const z = startZ - along * d * infeed; // compound infeed along the flank
+      const x = crest + side * d;
+      this.addMove('rapid', driveX, y, z, lineNumber);
+      this.addMove('rapid', x, y, z, lineNumber);
+      this.addMove('cut', x, y, endZ, lineNumber);
+      this.addMove('rapid', driveX, y, endZ, lineNumber);
+    }
+    this.addMove('rapid', driveX, y, startZ, lineNumber);
+    this.feedRate = feedRate;
+  }
+
+  // Beam power (0-1) of a laser move. Grbl never fires on G0, and M3
+  // (constant) and M4 (dynamic) both burn at S on feed moves. M4 power
+  // also falls with speed, which depends on the machine's acceleration,
+  // so the viewer scales it from the cycle time plan; the mode is kept in
+  // the segment's spindle field.
+  laserPower(type) {
+    if (type === 'rapid' || this.spindle === 'off') return 0;
+    return Math.min(Math.max(this.rpm / this.options.laserMaxPower, 0), 1);
+  }
+
+  // Merge seg into the previous segment when it continues it in the same
+  // direction with the same state. The merged segment keeps the first line.
+  extendLaserRun(seg) {
+    const last = this.segments[this.segments.length - 1];
+    if (!last || last.dwell || last.arcCenter || seg.arcCenter || this.feedMode === 93) return false;
+    // A stop or message before this move must keep pointing at its start
+    const next = this.segments.length;
+    if (this.stops.length && this.stops[this.stops.length - 1].segmentIndex === next) return false;
+    if (this.messages.length && this.messages[this.messages.length - 1].segmentIndex === next) return false;
+    for (const field of LASER_RUN_FIELDS) {
+      if (last[field] !== seg[field]) return false;
+    }
+    if (last.to.x !== seg.from.x || last.to.y !== seg.from.y || last.to.z !== seg.from.z) return false;
+
+    const ax = last.to.x - last.from.x, ay = last.to.y - last.from.y, az = last.to.z - last.from.z;
+    const bx = seg.to.x - seg.from.x, by = seg.to.y - seg.from.y, bz = seg.to.z - seg.from.z;
+    const lengths = Math.sqrt((ax * ax + ay * ay + az * az) * (bx * bx + by * by + bz * bz));
+    if (!lengths || (ax * bx + ay * by + az * bz) / lengths < 1 - 1e-9) return false;
+
+    last.to = seg.to;
+    return true;
+  }
+
+  // Canned drilling cycle block. R, Z, Q and P are sticky until G80;
+  // L repeats the hole (stepping by X/Y each time in G91).
+  processCannedCycle(code, params, lineNumber) {
+    if (!this.cycle) {
+      this.cycle = { code: code, initialZ: this.z, r: this.z, z: this.z, q: 0, p: 0 };
+    }
+    const cycle = this.cycle;
+    if (code !== null) cycle.code = code;
+
+    // In G91, R is relative to the initial level and Z relative to R
+    const zOffset = this._machineCoords ? 0 : this.offset.z + this.lengthError();
+    if ('R' in params) cycle.r = this.absoluteMode ? params.R + zOffset : cycle.initialZ + params.R;
+    if ('Z' in params) cycle.z = this.absoluteMode ? params.Z + zOffset : cycle.r + params.Z;
+    if ('Q' in params) cycle.q = Math.abs(params.Q);
+    if ('P' in params) cycle.p = this.dwellSeconds(params.P);
+
+    const repeats = 'L' in params ? Math.max(0, Math.round(params.L)) : 1;
+    for (let n = 0; n < repeats; n++) {
+      const x = this.resolveAxis(params, 'X', 'x');
+      const y = this.resolveAxis(params, 'Y', 'y');
+      this.drillHole(x, y, lineNumber);
+    }
+  }
+
+  drillHole(x, y, lineNumber) {
+    const cycle = this.cycle;
+    const behavior = CANNED_CYCLES[cycle.code];
+    const clearZ = this.retractMode === 98 ? Math.max(cycle.initialZ, cycle.r) : cycle.r;
 
-    // I, J, K are always incremental offsets to arc center
-    const i = params.I ?? 0;
-    const j = params.J ?? 0;
+    // Climb to R before traversing if the last hole left us below it
+    if (this.z < cycle.r) this.addMove('rapid', this.x, this.y, cycle.r, lineNumber);
+    this.addMove('rapid', x, y, this.z, lineNumber);
+    this.addMove('rapid', x, y, cycle.r, lineNumber);
 
-    const centerX = startX + i;
-    const centerY = startY + j;
+    if (behavior.peck && cycle.q > 0) {
+      let depth = cycle.r;
+      while (depth > cycle.z) {
+        depth = Math.max(depth - cycle.q, cycle.z);
+        this.addMove('cut', x, y, depth, lineNumber);
+        if (depth > cycle.z) {
+          // G83 clears chips at R, G73 just breaks them with a short lift
+          if (behavior.peck === 'full') this.addMove('rapid', x, y, cycle.r, lineNumber);
+          this.addMove('rapid', x, y, depth + PECK_CLEARANCE, lineNumber);
+        }
+      }
+    } else {
+      this.addMove('cut', x, y, cycle.z, lineNumber);
+    }
 
-    const radius = Math.sqrt(i * i + j * j);
-    let startAngle = Math.atan2(startY - centerY, startX - centerX);
-    let endAngle = Math.atan2(endY - centerY, endX - centerX);
+    if (behavior.dwell) this.addDwell(cycle.p);
+
+    if (behavior.retract === 'feed') {
+      this.addMove('cut', x, y, cycle.r, lineNumber);
+    }
+    this.addMove('rapid', x, y, clearZ, lineNumber);
+  }
+
+  processArc(type, params, lineNumber) {
+    const end = this.arcEnd(params);
+    const center = this.arcCenter(type, params, end, lineNumber);
+    if (center) this.addArc(type, end, center, lineNumber);
+  }
+
+  arcEnd(params) {
+    return {
+      x: this.resolveAxis(params, 'X', 'x'),
+      y: this.resolveAxis(params, 'Y', 'y'),
+      z: this.resolveAxis(params, 'Z', 'z')
+    };
+  }
+
+  // Center of an arc from the current position to end. I, J, K are
+  // always incremental offsets to the center; R-format arcs carry a
+  // radius instead and the center is solved for. Null when there is none.
+  arcCenter(type, params, end, lineNumber) {
+    const plane = ARC_PLANES[this.plane];
+    const [a0, a1] = plane.axes;
+    let off0, off1;
+    if ('R' in params) {
+      const offsets = this.arcCenterFromRadius(
+        end[a0] - this[a0], end[a1] - this[a1], params.R, type === 'cw_arc', lineNumber);
+      if (!offsets) return null;
+      ({ i: off0, j: off1 } = offsets);
+    } else {
+      off0 = params[plane.offsets[0]] ?? 0;
+      off1 = params[plane.offsets[1]] ?? 0;
+    }
+    const center = { x: this.x, y: this.y, z: this.z };
+    center[a0] += off0;
+    center[a1] += off1;
+    return center;
+  }
+
+  // Arc in the active plane from the current position to end about
+  // center; the linear axis runs helically
+  addArc(type, end, center, lineNumber) {
+    const start = { x: this.x, y: this.y, z: this.z };
+
+    // a0/a1 are the in-plane axes
+    const plane = ARC_PLANES[this.plane];
+    const [a0, a1] = plane.axes;
+    const linear = plane.linear;
 
     const clockwise = (type === 'cw_arc');
 
-    // Linearize the arc into small line segments
-    const arcSegments = 32;
+    const center0 = center[a0];
+    const center1 = center[a1];
+
+    const radius = Math.hypot(start[a0] - center0, start[a1] - center1);
+    let startAngle = Math.atan2(start[a1] - center1, start[a0] - center0);
+    let endAngle = Math.atan2(end[a1] - center1, end[a0] - center0);
 
     if (clockwise) {
       if (endAngle >= startAngle) endAngle -= 2 * Math.PI;
@@ -199,78 +1608,132 @@ class GCodeParser {
     }
 
     const angleSpan = endAngle - startAngle;
-    const zSpan = endZ - startZ;
+    const linearSpan = end[linear] - start[linear];
 
-    let prevX = startX, prevY = startY, prevZ = startZ;
+    // Linearize the arc into chords no further than arcTolerance from it
+    const arcSegments = this.arcSegmentCount(radius, angleSpan);
+
+    // Arc metadata rides along on every chord for measurement and export
+    const arcCenter = {};
+    arcCenter[a0] = center0;
+    arcCenter[a1] = center1;
+    arcCenter[linear] = start[linear];
+    const arc = {
+      center: arcCenter,
+      radius: radius,
+      direction: clockwise ? 'cw' : 'ccw',
+      plane: this.plane
+    };
+
+    let prev = start;
 
     for (let s = 1; s <= arcSegments; s++) {
       const t = s / arcSegments;
       const angle = startAngle + angleSpan * t;
-      const nx = centerX + radius * Math.cos(angle);
-      const ny = centerY + radius * Math.sin(angle);
-      const nz = startZ + zSpan * t;
+      const next = {};
+      next[a0] = center0 + radius * Math.cos(angle);
+      next[a1] = center1 + radius * Math.sin(angle);
+      next[linear] = start[linear] + linearSpan * t;
 
-      this.updateBounds(nx, ny, nz);
+      this.pushSegment('cut',
+        { x: prev.x, y: prev.y, z: prev.z },
+        { x: next.x, y: next.y, z: next.z },
+        lineNumber, arc);
 
-      this.segments.push({
-        type: 'cut',
-        from: { x: prevX, y: prevY, z: prevZ },
-        to: { x: nx, y: ny, z: nz },
-        line: lineNumber
-      });
-
-      prevX = nx; prevY = ny; prevZ = nz;
+      prev = next;
     }
 
-    this.x = endX;
-    this.y = endY;
-    this.z = endZ;
+    this.x = end.x;
+    this.y = end.y;
+    this.z = end.z;
     this.moveCount++;
   }
 
-  trimParkMoves() {
+  // Chords needed so the sagitta of each stays within arcTolerance
+  arcSegmentCount(radius, angleSpan) {
+    const { arcTolerance, arcMinSegments, arcMaxSegments } = this.options;
+    const step = arcTolerance < radius ? 2 * Math.acos(1 - arcTolerance / radius) : Math.PI;
+    const count = Math.ceil(Math.abs(angleSpan) / step);
+    return Math.min(arcMaxSegments, Math.max(arcMinSegments, count));
+  }
+
+  // Solve the center offset of an R-format arc from the chord (dx, dy),
+  // expressed along the two axes of the active plane.
+  // Positive R picks the short (<= 180 deg) solution, negative R the long one.
+  arcCenterFromRadius(dx, dy, r, clockwise, lineNumber) {
+    const chord = Math.sqrt(dx * dx + dy * dy);
+    if (chord === 0) {
+      this.warn(lineNumber, 'R arc endpoint equals start point — block skipped');
+      return null;
+    }
+
+    // Posts round the radius, so a small shortfall is drawn as a half circle
+    let hSquared = 4 * r * r - chord * chord;
+    if (hSquared < 0) {
+      const scale = this.units === 'in' ? MM_PER_INCH : 1;
+      const tolerance = Math.max(ARC_RADIUS_TOLERANCE[this.units] * scale, Math.abs(r) * 1e-4);
+      if (chord / 2 - Math.abs(r) > tolerance) {
+        this.warn(lineNumber, 'Arc radius ' + (Math.abs(r) / scale) + ' too small to reach endpoint (needs ' +
+          (chord / 2 / scale).toFixed(4) + ') — block skipped');
+        return null;
+      }
+      hSquared = 0;
+    }
+
+    let h = -Math.sqrt(hSquared) / chord;
+    if (!clockwise) h = -h;
+    if (r < 0) h = -h;
+
+    return {
+      i: 0.5 * (dx - dy * h),
+      j: 0.5 * (dy + dx * h)
+    };
+  }
+
+  tagParkMoves() {
     // Compute bounds from cut moves only
-    const cutBounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
-    for (const seg of this.segments) {
+    const released = this._releasedBounds.cut;
+    const cutBounds = emptyBounds();
+    extendBounds(cutBounds, released.min, released.max);
+    for (let i = this._released; i < this.segments.length; i++) {
+      const seg = this.segments[i];
       if (seg.type !== 'rapid') {
-        cutBounds.minX = Math.min(cutBounds.minX, seg.from.x, seg.to.x);
-        cutBounds.maxX = Math.max(cutBounds.maxX, seg.from.x, seg.to.x);
-        cutBounds.minY = Math.min(cutBounds.minY, seg.from.y, seg.to.y);
-        cutBounds.maxY = Math.max(cutBounds.maxY, seg.from.y, seg.to.y);
+        extendBounds(cutBounds, seg.from);
+        extendBounds(cutBounds, seg.to);
       }
     }
+    // Nothing is cut, so no rapid can be parked away from the work
+    if (cutBounds.min.x === Infinity) return;
 
-    // Remove trailing rapid moves that go outside the cut envelope
+    // Tag trailing rapid moves that go outside the cut envelope as park
+    // moves, looking past home moves already tagged.
     // Use a tight margin — park moves on CNC routers are well beyond the sheet
-    const margin = Math.max((cutBounds.maxX - cutBounds.minX) * 0.1, 5);
-    while (this.segments.length > 0) {
-      const last = this.segments[this.segments.length - 1];
-      if (last.type === 'rapid' &&
-          (last.to.x > cutBounds.maxX + margin || last.to.x < cutBounds.minX - margin ||
-           last.to.y > cutBounds.maxY + margin || last.to.y < cutBounds.minY - margin)) {
-        this.segments.pop();
+    const { min, max } = cutBounds;
+    const margin = Math.max((max.x - min.x) * 0.1, 5);
+    for (let i = this.segments.length - 1; i >= this._released; i--) {
+      const seg = this.segments[i];
+      if (seg.type !== 'rapid') break;
+      if (seg.parkMove) continue;
+      if (seg.to.x > max.x + margin || seg.to.x < min.x - margin ||
+          seg.to.y > max.y + margin || seg.to.y < min.y - margin) {
+        seg.parkMove = 'park';
       } else {
         break;
       }
     }
-
-    // Recalculate bounds from remaining segments
-    this.bounds = {
-      min: { x: Infinity, y: Infinity, z: Infinity },
-      max: { x: -Infinity, y: -Infinity, z: -Infinity }
-    };
-    for (const seg of this.segments) {
-      this.updateBounds(seg.from.x, seg.from.y, seg.from.z);
-      this.updateBounds(seg.to.x, seg.to.y, seg.to.z);
-    }
   }
 
-  updateBounds(x, y, z) {
-    this.bounds.min.x = Math.min(this.bounds.min.x, x);
-    this.bounds.min.y = Math.min(this.bounds.min.y, y);
-    this.bounds.min.z = Math.min(this.bounds.min.z, z);
-    this.bounds.max.x = Math.max(this.bounds.max.x, x);
-    this.bounds.max.y = Math.max(this.bounds.max.y, y);
-    this.bounds.max.z = Math.max(this.bounds.max.z, z);
+  // Bounds over every segment's end points, park and home moves included
+  // or not
+  recomputeBounds(includePark) {
+    const released = includePark ? this._releasedBounds.all : this._releasedBounds.unparked;
+    this.bounds = emptyBounds();
+    extendBounds(this.bounds, released.min, released.max);
+    for (let i = this._released; i < this.segments.length; i++) {
+      const seg = this.segments[i];
+      if (seg.parkMove && !includePark) continue;
+      extendBounds(this.bounds, seg.from);
+      extendBounds(this.bounds, seg.to);
+    }
   }
 }
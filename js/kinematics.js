@@ -0,0 +1,99 @@
+/**
+ * Machine Kinematics
+ * Forward kinematics for rotary machines: turns machine XYZ plus rotary
+ * axis positions into the tool tip and tool axis in the workpiece frame.
+ * Chains are listed from the machine base outwards; head axes tilt the
+ * spindle, table axes turn the part.
+ */
+
+// Rotary axes: the linear axis each turns about, and the plane it turns
+// in, in right-hand order so positive angles are counterclockwise
+const ROTARY_AXES = {
+  A: { axis: 'x', plane: ['y', 'z'] },
+  B: { axis: 'y', plane: ['z', 'x'] },
+  C: { axis: 'z', plane: ['x', 'y'] }
+};
+
+// Which rotary axes of each machine type move the head (spindle) and
+// which the table, by position in the chain
+const KINEMATIC_CHAINS = {
+  'table': ['table'], // one rotary axis under the part, e.g. a 4th-axis indexer
+  'table-table': ['table', 'table'], // trunnion: the second table rides on the first
+  'head-head': ['head', 'head'], // both rotaries in the spindle head
+  'head-table': ['head', 'table'] // tilting head over a rotary table
+};
+
+class MachineKinematics {
+  // config: { type, axes: ['A', 'C'], pivotLength, tableCenter }.
+  // pivotLength runs from the head pivot to the tool tip; tableCenter is
+  // where the table axes cross, in machine coordinates (default: the
+  // work origin).
+  constructor(config) {
+    const chain = KINEMATIC_CHAINS[config.type];
+    if (!chain) throw new Error('Unknown machine kinematics "' + config.type + '"');
+    if (!config.axes || config.axes.length !== chain.length || config.axes.some(letter => !ROTARY_AXES[letter])) {
+      throw new Error('Machine kinematics "' + config.type + '" needs ' + chain.length + ' of the A, B and C axes');
+    }
+
+    this.type = config.type;
+    this.axes = config.axes.slice();
+    this.headAxes = this.axes.filter((letter, i) => chain[i] === 'head');
+    this.tableAxes = this.axes.filter((letter, i) => chain[i] === 'table');
+    this.pivotLength = config.pivotLength || 0;
+    this.tableCenter = config.tableCenter || null;
+  }
+
+  // Tool tip and unit tool axis in the workpiece frame for the machine
+  // position p with the rotary axes at `angles` (letter -> degrees).
+  // Without TCP the machine position is the tip at zero head angles; with
+  // TCP (G43.4, RTCP) the control already programs the tip on the part.
+  pose(p, angles, workOrigin, tcp) {
+    let axis = { x: 0, y: 0, z: 1 };
+    for (let i = this.headAxes.length - 1; i >= 0; i--) {
+      axis = this.rotate(axis, this.headAxes[i], angles[this.headAxes[i]]);
+    }
+    if (tcp) return { tip: { x: p.x, y: p.y, z: p.z }, axis: this.toPart(axis, angles, null) };
+
+    // The head swings the tip about a pivot pivotLength above it
+    const l = this.pivotLength;
+    const tip = { x: p.x - l * axis.x, y: p.y - l * axis.y, z: p.z + l - l * axis.z };
+    return {
+      tip: this.toPart(tip, angles, this.tableCenter || workOrigin),
+      axis: this.toPart(axis, angles, null)
+    };
+  }
+
+  // Largest distance a point at p can swing when the axes turn, for
+  // splitting rotary moves into chords
+  sweepRadius(p, workOrigin) {
+    let radius = this.headAxes.length ? this.pivotLength : 0;
+    if (this.tableAxes.length) {
+      const c = this.tableCenter || workOrigin;
+      radius += Math.hypot(p.x - c.x, p.y - c.y, p.z - c.z);
+    }
+    return radius;
+  }
+
+  // Machine-frame point (or direction, with no center) into the frame of
+  // the part, which the table axes have turned. The part sees the table
+  // turn the other way, outermost axis last.
+  toPart(p, angles, center) {
+    const c = center || { x: 0, y: 0, z: 0 };
+    let q = { x: p.x - c.x, y: p.y - c.y, z: p.z - c.z };
+    for (const letter of this.tableAxes) q = this.rotate(q, letter, angles[letter]);
+    return { x: q.x + c.x, y: q.y + c.y, z: q.z + c.z };
+  }
+
+  // Rotate v about the axis of a rotary letter through the origin
+  rotate(v, letter, degrees) {
+    if (!degrees) return v;
+    const [u, w] = ROTARY_AXES[letter].plane;
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const r = { x: v.x, y: v.y, z: v.z };
+    r[u] = v[u] * cos - v[w] * sin;
+    r[w] = v[u] * sin + v[w] * cos;
+    return r;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Packed Segments
+ * Column-oriented toolpath storage: one typed array per segment field
+ * instead of one object per segment. The parse worker builds it and
+ * transfers the buffers to the page without copying.
+ */
+
+// Numeric segment fields; missing values pack as 0
+const SEGMENT_NUMBER_FIELDS = {
+  line: Uint32Array,
+  tool: Int32Array,
+  wcs: Float32Array,
+  feed: Float32Array,
+  rpm: Float32Array,
+  dwell: Float32Array,
+  arcRadius: Float32Array, // 0 for straight moves
+  arcPlane: Uint8Array, // 17, 18 or 19
+  layer: Uint32Array, // printer layer index
+  power: Float32Array // laser power, 0-1
+};
+
+// String segment fields, stored as an index into their list of values
+const SEGMENT_ENUM_FIELDS = {
+  type: ['cut', 'rapid'],
+  units: ['mm', 'in'],
+  spindle: ['off', 'cw', 'ccw'],
+  coolant: ['off', 'mist', 'flood', 'mist+flood'],
+  arcDirection: ['none', 'cw', 'ccw'],
+  feedMode: ['per-minute', 'inverse-time', 'per-rev'], // feed is always mm/min; this is how F set it
+  printMove: ['none', 'extrude', 'travel', 'retract', 'unretract'], // 'none' outside printer mode
+  parkMove: ['none', 'park', 'home'] // end-of-program park rapids and G28/G30 returns
+};
+
+// {x, y, z} segment fields, stored as 3 floats per segment (NaN when absent)
+const SEGMENT_VECTOR_FIELDS = ['arcCenter', 'toolAxis']; // toolAxis: unit vector, five-axis only
+
+// Boolean segment fields, stored as 0/1. travel marks feed moves that lay
+// down or remove nothing (printer travel, unpowered laser moves); gouge
+// marks cutter compensation moves that cut into the part.
+const SEGMENT_FLAG_FIELDS = ['spindleStopped', 'travel', 'gouge'];
+
+class PackedSegments {
+  // positions holds 6 floats per segment: from xyz + to xyz
+  constructor(length, positions, columns) {
+    this.length = length;
+    this.positions = positions;
+    this.columns = columns;
+  }
+
+  // Room for n segments, every field at its empty value
+  static allocate(n) {
+    const columns = {};
+    for (const name in SEGMENT_NUMBER_FIELDS) columns[name] = new SEGMENT_NUMBER_FIELDS[name](n);
+    for (const name in SEGMENT_ENUM_FIELDS) columns[name] = new Uint8Array(n);
+    for (const name of SEGMENT_FLAG_FIELDS) columns[name] = new Uint8Array(n);
+    for (const name of SEGMENT_VECTOR_FIELDS) columns[name] = new Float32Array(n * 3).fill(NaN);
+    return new PackedSegments(n, new Float32Array(n * 6), columns);
+  }
+
+  static fromSegments(segments) {
+    const n = segments.length;
+    const { positions, columns } = PackedSegments.allocate(n);
+
+    const enumCodes = {};
+    for (const name in SEGMENT_ENUM_FIELDS) {
+      enumCodes[name] = new Map(SEGMENT_ENUM_FIELDS[name].map((value, code) => [value, code]));
+    }
+
+    for (let i = 0; i < n; i++) {
+      const seg = segments[i];
+      const o = i * 6;
+      positions[o]     = seg.from.x;
+      positions[o + 1] = seg.from.y;
+      positions[o + 2] = seg.from.z;
+      positions[o + 3] = seg.to.x;
+      positions[o + 4] = seg.to.y;
+      positions[o + 5] = seg.to.z;
+
+      for (const name in SEGMENT_NUMBER_FIELDS) {
+        if (seg[name]) columns[name][i] = seg[name];
+      }
+      for (const name in SEGMENT_ENUM_FIELDS) {
+        if (seg[name] === undefined) continue;
+        const code = enumCodes[name].get(seg[name]);
+        if (code === undefined) throw new Error('Unknown segment ' + name + ': ' + seg[name]);
+        columns[name][i] = code;
+      }
+      for (const name of SEGMENT_FLAG_FIELDS) {
+        if (seg[name]) columns[name][i] = 1;
+      }
+      for (const name of SEGMENT_VECTOR_FIELDS) {
+        const v = seg[name];
+        if (!v) continue;
+        columns[name][i * 3] = v.x;
+        columns[name][i * 3 + 1] = v.y;
+        columns[name][i * 3 + 2] = v.z;
+      }
+    }
+
+    return new PackedSegments(n, positions, columns);
+  }
+
+  // One store of the parts' segments in order, for a toolpath packed a
+  // piece at a time
+  static concat(parts) {
+    const joined = PackedSegments.allocate(parts.reduce((sum, part) => sum + part.length, 0));
+    let at = 0;
+    for (const part of parts) {
+      joined.positions.set(part.positions, at * 6);
+      for (const name in part.columns) {
+        const width = SEGMENT_VECTOR_FIELDS.includes(name) ? 3 : 1;
+        joined.columns[name].set(part.columns[name], at * width);
+      }
+      at += part.length;
+    }
+    return joined;
+  }
+
+  // Rebuild from the plain object a worker posted
+  static fromTransfer(data) {
+    return new PackedSegments(data.length, data.positions, data.columns);
+  }
+
+  toTransfer() {
+    return { length: this.length, positions: this.positions, columns: this.columns };
+  }
+
+  // Buffers to hand to postMessage so they move instead of being copied
+  transferList() {
+    return [this.positions.buffer, ...Object.values(this.columns).map(column => column.buffer)];
+  }
+
+  // Decoded value of one field for segment i
+  value(name, i) {
+    if (SEGMENT_VECTOR_FIELDS.includes(name)) {
+      const column = this.columns[name];
+      const x = column[i * 3];
+      return isNaN(x) ? null : { x: x, y: column[i * 3 + 1], z: column[i * 3 + 2] };
+    }
+    const raw = this.columns[name][i];
+    if (name in SEGMENT_ENUM_FIELDS) return SEGMENT_ENUM_FIELDS[name][raw];
+    if (SEGMENT_FLAG_FIELDS.includes(name)) return raw === 1;
+    return raw;
+  }
+
+  isRapid(i) {
+    return this.columns.type[i] === RAPID_CODE;
+  }
+
+  // Rapids, and feed moves that leave no mark
+  isTravel(i) {
+    return this.columns.type[i] === RAPID_CODE || this.columns.travel[i] === 1;
+  }
+
+  // Laser burns in M4 dynamic power mode, whose power follows the speed
+  // the machine reaches
+  isDynamicPower(i) {
+    return this.columns.spindle[i] === CCW_CODE && this.columns.power[i] > 0;
+  }
+
+  // Materialize segment i as a plain object. Fine for one-off lookups;
+  // hot loops should read positions and columns directly.
+  get(i) {
+    const p = this.positions;
+    const o = i * 6;
+    const seg = {
+      from: { x: p[o], y: p[o + 1], z: p[o + 2] },
+      to: { x: p[o + 3], y: p[o + 4], z: p[o + 5] }
+    };
+    for (const name in this.columns) seg[name] = this.value(name, i);
+    return seg;
+  }
+}
+
+const RAPID_CODE = SEGMENT_ENUM_FIELDS.type.indexOf('rapid');
+const CCW_CODE = SEGMENT_ENUM_FIELDS.spindle.indexOf('ccw');
@@ -0,0 +1,45 @@
+/**
+ * Parse Worker
+ * Runs GCodeParser off the main thread. Reads the source Blob in chunks,
+ * posts progress as it goes, and transfers the toolpath back packed.
+ * Segments are packed after each chunk, so the objects for the whole
+ * file never exist at once.
+ *
+ * In:  { source: Blob, options }
+ * Out: { type: 'progress', fraction }
+ *      { type: 'result', result, packed }
+ *      { type: 'error', message }
+ * Cancel by terminating the worker.
+ */
+
+importScripts('work-offsets.js', 'tool-table.js', 'dialects.js', 'code-handlers.js', 'packed-segments.js', 'gcode-lexer.js', 'expression.js', 'program-flow.js', 'kinematics.js', 'cutter-comp.js', 'gcode-parser.js');
+
+const CHUNK_SIZE = 1 << 20; // 1 MB
+
+self.onmessage = async (event) => {
+  const { source, options } = event.data;
+
+  try {
+    const parser = new GCodeParser(options);
+    const decoder = new TextDecoder();
+    const parts = [];
+    parser.begin();
+
+    for (let offset = 0; offset < source.size; offset += CHUNK_SIZE) {
+      const buffer = await source.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+      parser.parseChunk(decoder.decode(buffer, { stream: true }));
+      parts.push(PackedSegments.fromSegments(parser.takeSegments()));
+      self.postMessage({ type: 'progress', fraction: Math.min(1, (offset + CHUNK_SIZE) / source.size) });
+    }
+    parser.parseChunk(decoder.decode());
+
+    const result = parser.finish();
+    parts.push(PackedSegments.fromSegments(parser.takeSegments()));
+    const packed = PackedSegments.concat(parts);
+    result.segments = null;
+
+    self.postMessage({ type: 'result', result: result, packed: packed.toTransfer() }, packed.transferList());
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,383 @@
+/**
+ * Program Flow
+ * Line storage and control flow for the parser: Fanuc O-number
+ * subprograms (M98/M99) and LinuxCNC o-word sub/call, if, while, do and
+ * repeat blocks. Lines are addressed by 0-based index into the file.
+ *
+ * Lines arrive in chunks, so a statement whose jump target has not been
+ * read yet reports itself as not ready until more text (or EOF) arrives.
+ */
+
+// "o100 while [...]", "o<name> call [1] [2]" — comments already stripped
+const O_WORD_PATTERN = /^(?:N\d+\s*)?O\s*(<[^>]*>|\d+)\s*(SUB|ENDSUB|CALL|RETURN|IF|ELSEIF|ELSE|ENDIF|WHILE|ENDWHILE|DO|BREAK|CONTINUE|REPEAT|ENDREPEAT)\b(.*)$/;
+
+// "O1000" on its own line starts a Fanuc subprogram
+const PROGRAM_NUMBER_PATTERN = /^O\s*(\d+)$/;
+
+const M98_PATTERN = /M0*98(?![\d.])/;
+const M99_PATTERN = /M0*99(?![\d.])/;
+
+// "N120 ..." and the Q block number of a lathe G70/G71 profile cycle
+const SEQUENCE_PATTERN = /^\s*\/?\s*[Nn]\s*(\d+)/;
+const LATHE_CYCLE_PATTERN = /G0*7[01](?![\d.]).*Q\s*(\d+)/;
+
+// Guards against programs that never leave a loop or recurse forever
+const MAX_LOOP_ITERATIONS = 1000000;
+const MAX_CALL_DEPTH = 64;
+
+class ProgramFlow {
+  // expressions is the parser's ExpressionEvaluator, which holds parameters
+  constructor(expressions) {
+    this.expressions = expressions;
+    this.lines = []; // lines from lineBase on
+    this.lineBase = 0;
+    this.statements = new Map(); // line index -> { label, keyword, rest }
+    this.labels = new Map(); // o-word label -> [line index] in file order
+    this.programs = new Map(); // Fanuc program number -> line index
+    this.programEnds = new Map(); // subprogram start index -> its M99 line index
+    this.openProgram = -1; // start of the program being read, until its M99
+    this.inHeader = true; // no block read yet
+    this.stack = []; // active calls, innermost last
+    this.repeats = new Map(); // repeat line index -> iterations left
+    this.iterations = new Map(); // loop head index -> times entered
+    this.eof = false;
+    this.retainLines = false; // keep every line, for lathe cycles that reread N blocks
+    this.diagnostics = []; // { line, message } for the parser to report
+  }
+
+  append(lines) {
+    const start = this.lineBase + this.lines.length;
+    for (let i = 0; i < lines.length; i++) {
+      this.lines.push(lines[i]);
+      if (this.inHeader && this.readHeader(lines[i])) continue;
+      if (this.openProgram >= 0 && lines[i].includes('99') &&
+          M99_PATTERN.test(GCodeLexer.stripComments(lines[i]))) {
+        this.programEnds.set(this.openProgram, start + i);
+        this.openProgram = -1;
+      }
+      if (!/O/i.test(lines[i])) continue;
+
+      const text = GCodeLexer.stripComments(lines[i]);
+      const match = text.match(O_WORD_PATTERN);
+      if (match) {
+        const statement = { label: match[1], keyword: match[2], rest: match[3].trim() };
+        this.statements.set(start + i, statement);
+        if (!this.labels.has(statement.label)) this.labels.set(statement.label, []);
+        this.labels.get(statement.label).push(start + i);
+        continue;
+      }
+      const program = text.match(PROGRAM_NUMBER_PATTERN);
+      if (program) {
+        this.programs.set(parseInt(program[1], 10), start + i);
+        this.openProgram = start + i;
+      }
+    }
+  }
+
+  // An O number on the first line (after the tape's opening %) heads the
+  // main program, which is never called, so it is not kept as a
+  // subprogram. Returns whether the line was that header.
+  readHeader(line) {
+    const text = line.trim();
+    if (!text || text === '%') return false;
+    this.inHeader = false;
+    return PROGRAM_NUMBER_PATTERN.test(GCodeLexer.stripComments(text));
+  }
+
+  has(index) {
+    return index < this.lineBase + this.lines.length;
+  }
+
+  lineAt(index) {
+    return this.lines[index - this.lineBase];
+  }
+
+  statementAt(index) {
+    return this.statements.get(index);
+  }
+
+  // Straight-line programs never jump back, so lines already run can be
+  // dropped — unless a label has been seen that a later jump may target,
+  // or a subprogram starts among them that a later M98 may call
+  release(index) {
+    if (this.retainLines || this.labels.size || index <= this.lineBase) return;
+    for (const start of this.programEnds.keys()) {
+      if (start < index) return;
+    }
+    // A called program whose M99 has not been read yet
+    if (this.stack.some(frame => frame.kind === 'program' && frame.start < index)) return;
+    this.lines.splice(0, index - this.lineBase);
+    this.lineBase = index;
+  }
+
+  // An outside call (a program stored on the control, a sub in the
+  // subroutine path) is reported and stepped over
+  skipCall(lineNumber, message, returnIndex) {
+    this.diagnostics.push({ line: lineNumber, message: message + '; call skipped' });
+    return returnIndex;
+  }
+
+  // Whether the line at index can run with what has been read so far
+  ready(index) {
+    if (this.eof) return true;
+
+    const statement = this.statements.get(index);
+    if (statement) {
+      switch (statement.keyword) {
+        case 'SUB': return this.find(statement.label, index, ['ENDSUB']) >= 0;
+        case 'CALL': return this.find(statement.label, -1, ['SUB']) >= 0;
+        case 'IF':
+        case 'ELSEIF':
+        case 'ELSE': return this.find(statement.label, index, ['ENDIF']) >= 0;
+        case 'WHILE': return this.find(statement.label, index, ['ENDWHILE']) >= 0 ||
+          this.find(statement.label, -1, ['DO']) >= 0;
+        case 'DO': return this.find(statement.label, index, ['WHILE']) >= 0;
+        case 'REPEAT': return this.find(statement.label, index, ['ENDREPEAT']) >= 0;
+        case 'BREAK':
+        case 'CONTINUE': return this.find(statement.label, index, ['ENDWHILE', 'WHILE', 'ENDREPEAT']) >= 0;
+      }
+      return true;
+    }
+
+    const line = this.lineAt(index);
+
+    // Lathe G70/G71 P.. Q.. need every block up to N(Q)
+    if (/G0*7[01]/i.test(line)) {
+      const cycle = LATHE_CYCLE_PATTERN.exec(GCodeLexer.stripComments(line));
+      if (cycle) return this.findSequence(parseInt(cycle[1], 10), this.lineBase) >= 0;
+    }
+
+    // M98 to a program further down the file
+    if (!line.includes('98')) return true;
+    const text = GCodeLexer.stripComments(line);
+    if (!M98_PATTERN.test(text)) return true;
+    const target = text.match(/P\s*(\d+)/);
+    return target ? this.programs.has(this.programNumber(parseFloat(target[1]))) : false;
+  }
+
+  // A subprogram written before the main program is reached in straight-line
+  // order: once its M99 has been read, returns the line after it; otherwise
+  // -1 and the program runs as the main one
+  skipDefinition(index) {
+    const end = this.programEnds.get(index);
+    return end === undefined ? -1 : end + 1;
+  }
+
+  // First line at or after `from` numbered N<number>, or -1
+  findSequence(number, from) {
+    const end = this.lineBase + this.lines.length;
+    for (let index = Math.max(from, this.lineBase); index < end; index++) {
+      const match = this.lineAt(index).match(SEQUENCE_PATTERN);
+      if (match && parseInt(match[1], 10) === number) return index;
+    }
+    return -1;
+  }
+
+  // First line after `after` carrying this label and one of the keywords
+  find(label, after, keywords) {
+    const indexes = this.labels.get(label) || [];
+    for (const index of indexes) {
+      if (index > after && keywords.includes(this.statements.get(index).keyword)) return index;
+    }
+    return -1;
+  }
+
+  // Last line before `before` carrying this label and one of the keywords
+  findBack(label, before, keywords) {
+    const indexes = this.labels.get(label) || [];
+    for (let i = indexes.length - 1; i >= 0; i--) {
+      const index = indexes[i];
+      if (index < before && keywords.includes(this.statements.get(index).keyword)) return index;
+    }
+    return -1;
+  }
+
+  require(index, what) {
+    if (index < 0) throw new Error(what);
+    return index;
+  }
+
+  // Run the o-word statement at index and return the next line index
+  execute(index) {
+    const { label, keyword, rest } = this.statements.get(index);
+    const o = 'O' + label + ' ';
+
+    switch (keyword) {
+      case 'SUB':
+        // Definitions are skipped over until called
+        return this.require(this.find(label, index, ['ENDSUB']), o + 'sub has no endsub') + 1;
+
+      case 'CALL': {
+        const sub = this.find(label, -1, ['SUB']);
+        if (sub < 0) return this.skipCall(index + 1, o + 'sub is not in this file', index + 1);
+        const args = this.callArguments(rest);
+        this.checkDepth();
+        this.stack.push({ kind: 'sub', label: label, returnIndex: index + 1 });
+        this.expressions.pushLocals(args);
+        return sub + 1;
+      }
+
+      case 'ENDSUB':
+      case 'RETURN': {
+        // A value given to return/endsub is left in #<_value>
+        if (rest) this.expressions.set('_VALUE', this.evaluate(rest));
+        // Unwind to the frame of this sub; stray endsubs just fall through
+        while (this.stack.length) {
+          const frame = this.stack.pop();
+          if (frame.kind !== 'sub') continue;
+          this.expressions.popLocals();
+          if (frame.label === label) return frame.returnIndex;
+        }
+        return index + 1;
+      }
+
+      case 'IF':
+        if (this.evaluate(rest)) return index + 1;
+        return this.nextBranch(label, index);
+
+      case 'ELSEIF':
+      case 'ELSE':
+        // Reached by falling out of a taken branch
+        return this.require(this.find(label, index, ['ENDIF']), o + 'has no endif') + 1;
+
+      case 'WHILE': {
+        const doIndex = this.findBack(label, index, ['DO']);
+        if (doIndex >= 0 && this.find(label, doIndex, ['WHILE']) === index) {
+          // Tail of a do...while
+          if (this.evaluate(rest)) {
+            this.countIteration(doIndex, o);
+            return doIndex + 1;
+          }
+          this.iterations.delete(doIndex);
+          return index + 1;
+        }
+
+        // Loop head
+        const end = this.require(this.find(label, index, ['ENDWHILE']), o + 'while has no endwhile');
+        if (!this.evaluate(rest)) {
+          this.iterations.delete(index);
+          return end + 1;
+        }
+        this.countIteration(index, o);
+        return index + 1;
+      }
+
+      case 'ENDWHILE':
+        return this.require(this.findBack(label, index, ['WHILE']), o + 'endwhile has no while');
+
+      case 'DO':
+        return index + 1;
+
+      case 'REPEAT': {
+        const end = this.require(this.find(label, index, ['ENDREPEAT']), o + 'repeat has no endrepeat');
+        const count = Math.floor(this.evaluate(rest || '[1]'));
+        if (count <= 0) return end + 1;
+        this.repeats.set(index, count);
+        return index + 1;
+      }
+
+      case 'ENDREPEAT': {
+        const head = this.require(this.findBack(label, index, ['REPEAT']), o + 'endrepeat has no repeat');
+        const left = (this.repeats.get(head) || 1) - 1;
+        if (left > 0) {
+          this.repeats.set(head, left);
+          return head + 1;
+        }
+        this.repeats.delete(head);
+        return index + 1;
+      }
+
+      case 'BREAK': {
+        const end = this.require(this.loopEnd(label, index), o + 'break outside a loop');
+        const head = this.statements.get(end).keyword === 'ENDREPEAT'
+          ? this.findBack(label, end, ['REPEAT'])
+          : -1;
+        if (head >= 0) this.repeats.delete(head);
+        return end + 1;
+      }
+
+      case 'CONTINUE': {
+        const end = this.require(this.loopEnd(label, index), o + 'continue outside a loop');
+        // endwhile/endrepeat run the loop test; a do...while tail re-evaluates itself
+        return end;
+      }
+    }
+    return index + 1;
+  }
+
+  evaluate(text) {
+    return this.expressions.evaluate(text);
+  }
+
+  // "[1] [#2 * 3] #4" -> one value per bracketed argument or word
+  callArguments(rest) {
+    const args = [];
+    let from = 0;
+    while (from < rest.length) {
+      const arg = this.expressions.readValue(rest, from);
+      args.push(arg.value);
+      from = arg.end;
+      while (rest[from] === ' ' || rest[from] === '\t') from++;
+    }
+    return args;
+  }
+
+  // After a false if/elseif: run the next branch whose condition holds
+  nextBranch(label, index) {
+    let at = index;
+    for (;;) {
+      at = this.require(this.find(label, at, ['ELSEIF', 'ELSE', 'ENDIF']), 'O' + label + ' if has no endif');
+      const statement = this.statements.get(at);
+      if (statement.keyword === 'ENDIF' || statement.keyword === 'ELSE') return at + 1;
+      if (this.evaluate(statement.rest)) return at + 1;
+    }
+  }
+
+  // Closing line of the loop a break/continue belongs to
+  loopEnd(label, index) {
+    return this.find(label, index, ['ENDWHILE', 'WHILE', 'ENDREPEAT']);
+  }
+
+  checkDepth(prefix = '') {
+    if (this.stack.length >= MAX_CALL_DEPTH) {
+      throw new Error(prefix + 'Subprogram calls nested deeper than ' + MAX_CALL_DEPTH);
+    }
+  }
+
+  countIteration(head, o) {
+    const count = (this.iterations.get(head) || 0) + 1;
+    if (count > MAX_LOOP_ITERATIONS) throw new Error(o + 'loop exceeded ' + MAX_LOOP_ITERATIONS + ' iterations');
+    this.iterations.set(head, count);
+  }
+
+  // Fanuc packs the repeat count into P when it has more than 4 digits:
+  // P30100 runs O100 three times
+  programNumber(p) {
+    return p > 9999 ? p % 10000 : p;
+  }
+
+  // M98 P.. L..: returns the first line of the subprogram
+  callProgram(p, l, returnIndex, lineNumber) {
+    let repeats = l;
+    if (repeats === undefined) repeats = p > 9999 ? Math.floor(p / 10000) : 1;
+    const number = this.programNumber(p);
+    const start = this.programs.get(number);
+    if (start === undefined || start < this.lineBase) {
+      return this.skipCall(lineNumber, 'M98: program O' + number + ' is not in this file', returnIndex);
+    }
+    if (repeats <= 0) return returnIndex;
+    this.checkDepth('Line ' + lineNumber + ': ');
+    this.stack.push({ kind: 'program', start: start, returnIndex: returnIndex, repeatsLeft: repeats });
+    return start + 1;
+  }
+
+  // M99: repeat or return from the innermost M98 call. Returns -1 when
+  // there is nothing to return to (M99 in the main program ends it).
+  returnFromProgram() {
+    const frame = this.stack[this.stack.length - 1];
+    if (!frame || frame.kind !== 'program') return -1;
+    if (--frame.repeatsLeft > 0) return frame.start + 1;
+    this.stack.pop();
+    return frame.returnIndex;
+  }
+}
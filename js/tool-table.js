@@ -0,0 +1,45 @@
+/**
+ * Tool Table
+ * Tools by number: diameter (for G41/G42), length (for G43 H), type and
+ * description, and LinuxCNC .tbl import. Lengths and diameters are mm.
+ */
+
+const TOOL_TYPES = ['flat', 'ball', 'bull', 'drill', 'chamfer', 'other'];
+
+function createTool(fields) {
+  return Object.assign({ diameter: 0, length: 0, type: 'flat', description: '' }, fields);
+}
+
+function copyToolTable(table) {
+  const copy = {};
+  for (const number in table || {}) {
+    if (Number.isInteger(Number(number)) && Number(number) > 0) copy[number] = createTool(table[number]);
+  }
+  return copy;
+}
+
+// Read a LinuxCNC tool table. Each line is words such as
+// "T1 P1 D6.35 Z-12.5 ;comment": T is the tool, D its diameter, Z its
+// length offset and the comment its description. Other words are ignored.
+function parseToolTableFile(text) {
+  const table = {};
+  for (const line of text.split('\n')) {
+    const semicolon = line.indexOf(';');
+    const words = (semicolon < 0 ? line : line.slice(0, semicolon)).toUpperCase();
+    const tool = words.match(/T\s*(\d+)/);
+    if (!tool) continue;
+
+    const word = (letter) => {
+      const match = words.match(new RegExp(letter + '\\s*([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:E[-+]?\\d+)?)'));
+      return match ? parseFloat(match[1]) : 0;
+    };
+    const description = semicolon < 0 ? '' : line.slice(semicolon + 1).trim();
+    const number = parseInt(tool[1], 10);
+    if (number > 0) {
+      table[number] = createTool({ diameter: word('D'), length: word('Z'), description: description });
+    }
+  }
+
+  if (!Object.keys(table).length) throw new Error('No tools found in file');
+  return table;
+}
@@ -4,6 +4,18 @@
  * Supports animated playback with speed control.
  */
 
+// Cut colors, assigned to tools in the order they first cut
+const TOOL_COLORS = [0x44dd88, 0xff8844, 0xdd66ff, 0xffdd44, 0x44ccee, 0xff4466, 0x88aaff, 0xaadd44];
+
+// Brightness of the weakest laser burn, so low-power passes stay visible
+const MIN_BURN_SHADE = 0.15;
+
+// Most tool axis whiskers drawn on a five-axis toolpath
+const MAX_TOOL_AXIS_WHISKERS = 2000;
+
+// Z bins the revolved lathe part is sampled at
+const LATHE_SOLID_BINS = 200;
+
 class GCodeViewer {
   constructor(container) {
     this.container = container;
@@ -14,7 +26,7 @@ class GCodeViewer {
     this.toolpathGroup = null;
 
     // Animation state
-    this.segments = [];
+    this.segments = null; // PackedSegments
     this.playing = false;
     this.playbackSpeed = 1; // multiplier: 0.25x to 10x
     this.currentSegmentIndex = 0;
@@ -22,17 +34,40 @@ class GCodeViewer {
     this.lastFrameTime = 0;
     this.onProgress = null; // callback(current, total)
     this.onPlayStateChange = null; // callback(playing)
+    this.onToolMove = null; // callback(position)
 
     // Tool position marker
     this.toolMarker = null;
 
-    // Animated line objects
-    this.rapidLine = null;
-    this.cutLine = null;
-    this.rapidPositions = [];
-    this.cutPositions = [];
-    this.rapidDrawCount = 0;
-    this.cutDrawCount = 0;
+    // Animated line objects, one per layer key ('rapid', 'tool:N'):
+    // { line, positions, drawCount, colors, rgb, distances } (colors only
+    // when shading, distances only for dashed lines)
+    this.layers = new Map();
+    this.shadePower = false; // laser burns drawn with brightness by power
+    this.dynamicPower = null; // per-segment M4 power scale, see setDynamicPower
+    this.travelVisible = true;
+    this.parkVisible = true;
+    this.stops = []; // program stops from the parse: { line, segmentIndex, optional }
+    this.optionalStops = false; // pause at M1 as well as M0
+    this.stopIndex = new Map(); // segment index -> the stop before it
+    this.stoppedAt = -1; // segment index playback last paused or started at
+    this.toolAxesVisible = true;
+    this.whiskerStride = 1; // segments per tool axis whisker
+    this.whiskerLength = 0;
+    this.segmentLayers = []; // layer of each segment, by index
+    this.toolColors = new Map(); // tool number -> hex color
+
+    // Lathe: the spindle (Z) runs across the screen and X up it
+    this.lathe = false;
+    this.latheView = 'profile'; // or 'revolved': the turned part as a solid
+    this.latheSolid = null;
+
+    // Rotary jobs: { axis, origin } from the parse result, and the stock
+    // cylinder drawn around that axis (diameter 0 = not drawn)
+    this.rotary = null;
+    this.rotaryStockDiameter = 0;
+    this.rotaryStock = null;
+    this.toolpathBounds = null;
 
     this.init();
   }
@@ -71,6 +106,9 @@ class GCodeViewer {
     this.toolpathGroup = new THREE.Group();
     this.scene.add(this.toolpathGroup);
 
+    // Toolpath (x, y, z) -> scene (z, x, y) in lathe mode
+    this.latheAxes = new THREE.Matrix4().set(0, 0, 1, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1);
+
     // Tool position marker — yellow sphere
     const markerGeom = new THREE.SphereGeometry(1, 12, 12);
     const markerMat = new THREE.MeshBasicMaterial({ color: 0xffdd44 });
@@ -100,7 +138,7 @@ class GCodeViewer {
 
   animateFrame(time) {
     // Advance playback
-    if (this.playing && this.segments.length > 0) {
+    if (this.playing && this.segments && this.segments.length > 0) {
       const dt = this.lastFrameTime ? (time - this.lastFrameTime) / 1000 : 0;
       this.lastFrameTime = time;
       this.advancePlayback(dt);
@@ -126,13 +164,22 @@ class GCodeViewer {
     let remaining = segmentsToAdvance;
 
     while (remaining > 0 && this.currentSegmentIndex < this.segments.length) {
+      if (this.segmentProgress === 0) {
+        const stop = this.stopBefore(this.currentSegmentIndex);
+        if (stop) {
+          this.stoppedAt = this.currentSegmentIndex;
+          this.pause();
+          if (this.onStop) this.onStop(stop);
+          break;
+        }
+      }
       const leftInSegment = 1 - this.segmentProgress;
 
       if (remaining >= leftInSegment) {
         // Complete this segment
         remaining -= leftInSegment;
         this.segmentProgress = 0;
-        this.addSegmentToScene(this.segments[this.currentSegmentIndex]);
+        this.addSegmentToScene(this.currentSegmentIndex);
         this.currentSegmentIndex++;
       } else {
         // Partial segment — update tool marker position
@@ -158,100 +205,179 @@ class GCodeViewer {
     }
   }
 
-  addSegmentToScene(seg) {
-    if (seg.type === 'rapid') {
-      const i = this.rapidDrawCount * 6;
-      this.rapidPositions[i]     = seg.from.x;
-      this.rapidPositions[i + 1] = seg.from.y;
-      this.rapidPositions[i + 2] = seg.from.z;
-      this.rapidPositions[i + 3] = seg.to.x;
-      this.rapidPositions[i + 4] = seg.to.y;
-      this.rapidPositions[i + 5] = seg.to.z;
-      this.rapidDrawCount++;
-      if (this.rapidLine) {
-        this.rapidLine.geometry.attributes.position.needsUpdate = true;
-        this.rapidLine.geometry.setDrawRange(0, this.rapidDrawCount * 2);
-      }
-    } else {
-      const i = this.cutDrawCount * 6;
-      this.cutPositions[i]     = seg.from.x;
-      this.cutPositions[i + 1] = seg.from.y;
-      this.cutPositions[i + 2] = seg.from.z;
-      this.cutPositions[i + 3] = seg.to.x;
-      this.cutPositions[i + 4] = seg.to.y;
-      this.cutPositions[i + 5] = seg.to.z;
-      this.cutDrawCount++;
-      if (this.cutLine) {
-        this.cutLine.geometry.attributes.position.needsUpdate = true;
-        this.cutLine.geometry.setDrawRange(0, this.cutDrawCount * 2);
-      }
+  // Stop playback honors before segment index, if any. Playback never
+  // stops where it was started or last stopped.
+  stopBefore(index) {
+    const stop = this.stopIndex.get(index);
+    if (!stop || index === this.stoppedAt || (stop.optional && !this.optionalStops)) return null;
+    return stop;
+  }
+
+  // Rapids (and printer travel) share one layer; cuts are split per tool so
+  // each can be colored and hidden on its own. Cuts made with the spindle
+  // stopped, and cutter compensation gouges, get their own layers so they
+  // stand out regardless of tool; the spindle-stopped ones per tool, so
+  // they hide with it. Park and home moves are drawn as dashed ghosts.
+  layerKey(index) {
+    const segments = this.segments;
+    if (segments.columns.parkMove[index]) return 'park';
+    if (segments.columns.gouge[index]) return 'gouge';
+    if (segments.isTravel(index)) return 'rapid';
+    if (segments.columns.spindleStopped[index]) return 'alarm:' + segments.columns.tool[index];
+    return 'tool:' + segments.columns.tool[index];
+  }
+
+  addSegmentToScene(index) {
+    const layer = this.segmentLayers[index];
+    const o = index * 6;
+    layer.positions.set(this.segments.positions.subarray(o, o + 6), layer.drawCount * 6);
+    if (layer.colors) this.shadeSegment(layer, index);
+    if (layer.distances) this.measureDashes(layer, index);
+    layer.drawCount++;
+    layer.line.geometry.attributes.position.needsUpdate = true;
+    layer.line.geometry.setDrawRange(0, layer.drawCount * 2);
+    if (index % this.whiskerStride === 0 && this.layers.has('axis')) this.addWhisker(index);
+  }
+
+  // Tool axis line from the end of segment index
+  addWhisker(index) {
+    const layer = this.layers.get('axis');
+    const p = this.segments.positions;
+    const axis = this.segments.columns.toolAxis;
+    const o = index * 6;
+    const c = layer.drawCount * 6;
+    const length = this.whiskerLength;
+    for (let k = 0; k < 3; k++) {
+      layer.positions[c + k] = p[o + 3 + k];
+      layer.positions[c + 3 + k] = p[o + 3 + k] + axis[index * 3 + k] * length;
     }
+    layer.drawCount++;
+    layer.line.geometry.attributes.position.needsUpdate = true;
+    layer.line.geometry.setDrawRange(0, layer.drawCount * 2);
+  }
+
+  // Color both ends of the segment in the layer's color, scaled by power
+  shadeSegment(layer, index) {
+    let power = this.segments.columns.power[index];
+    if (this.dynamicPower && this.segments.isDynamicPower(index)) power *= this.dynamicPower[index];
+    const shade = MIN_BURN_SHADE + (1 - MIN_BURN_SHADE) * power;
+    const c = layer.drawCount * 6;
+    for (let k = 0; k < 6; k++) layer.colors[c + k] = layer.rgb[k % 3] * shade;
+    layer.line.geometry.attributes.color.needsUpdate = true;
+  }
+
+  // Dashes restart at the start of each segment
+  measureDashes(layer, index) {
+    const p = this.segments.positions;
+    const o = index * 6;
+    layer.distances[layer.drawCount * 2 + 1] = Math.hypot(p[o + 3] - p[o], p[o + 4] - p[o + 1], p[o + 5] - p[o + 2]);
+    layer.line.geometry.attributes.lineDistance.needsUpdate = true;
   }
 
   updateDrawRanges() {
-    if (this.rapidLine) {
-      this.rapidLine.geometry.setDrawRange(0, this.rapidDrawCount * 2);
-    }
-    if (this.cutLine) {
-      this.cutLine.geometry.setDrawRange(0, this.cutDrawCount * 2);
+    for (const layer of this.layers.values()) {
+      layer.line.geometry.setDrawRange(0, layer.drawCount * 2);
     }
   }
 
   updateToolMarker() {
     if (this.currentSegmentIndex >= this.segments.length) return;
 
-    const seg = this.segments[this.currentSegmentIndex];
+    const p = this.segments.positions;
+    const o = this.currentSegmentIndex * 6;
     const t = this.segmentProgress;
-    this.toolMarker.position.set(
-      seg.from.x + (seg.to.x - seg.from.x) * t,
-      seg.from.y + (seg.to.y - seg.from.y) * t,
-      seg.from.z + (seg.to.z - seg.from.z) * t
-    );
+    const x = p[o] + (p[o + 3] - p[o]) * t;
+    const y = p[o + 1] + (p[o + 4] - p[o + 1]) * t;
+    const z = p[o + 2] + (p[o + 5] - p[o + 2]) * t;
+    if (this.lathe) this.toolMarker.position.set(z, x, y);
+    else this.toolMarker.position.set(x, y, z);
     this.toolMarker.visible = true;
+    if (this.onToolMove) this.onToolMove({ x: x, y: y, z: z });
   }
 
-  // Set up segments for animated playback
+  // Set up segments (PackedSegments) for animated playback
   loadToolpath(segments, bounds) {
     this.clearToolpath();
     this.segments = segments;
+    this.toolpathBounds = bounds;
+    if (this.lathe) this.toolpathGroup.setRotationFromMatrix(this.latheAxes);
+    else this.toolpathGroup.rotation.set(0, 0, 0);
 
     if (!segments.length) return;
+    this.shadePower = segments.columns.power.some(power => power > 0);
 
-    // Count rapids and cuts to pre-allocate buffers
-    let rapidCount = 0, cutCount = 0;
-    for (const seg of segments) {
-      if (seg.type === 'rapid') rapidCount++;
-      else cutCount++;
+    // A program stop outranks an optional stop before the same move
+    for (const stop of this.stops) {
+      const other = this.stopIndex.get(stop.segmentIndex);
+      if (!other || other.optional) this.stopIndex.set(stop.segmentIndex, stop);
     }
 
-    // Pre-allocate position arrays (6 floats per segment: from xyz + to xyz)
-    this.rapidPositions = new Float32Array(rapidCount * 6);
-    this.cutPositions = new Float32Array(cutCount * 6);
-    this.rapidDrawCount = 0;
-    this.cutDrawCount = 0;
+    // Count segments per layer to pre-allocate buffers, and give each
+    // tool a color in the order it first cuts
+    const counts = new Map();
+    const keys = new Array(segments.length);
+    for (let i = 0; i < segments.length; i++) {
+      const key = this.layerKey(i);
+      keys[i] = key;
+      counts.set(key, (counts.get(key) || 0) + 1);
+      const tool = segments.columns.tool[i];
+      if ((key.startsWith('tool:') || key.startsWith('alarm:')) && !this.toolColors.has(tool)) {
+        this.toolColors.set(tool, TOOL_COLORS[this.toolColors.size % TOOL_COLORS.length]);
+      }
+    }
+
+    // Park move dashes are sized to the part
+    const dashSize = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y, 1) * 0.01;
 
     // Create line objects with empty draw range
-    if (rapidCount > 0) {
+    // (6 floats per segment: from xyz + to xyz)
+    for (const [key, count] of counts) {
+      const positions = new Float32Array(count * 6);
       const geom = new THREE.BufferGeometry();
-      geom.setAttribute('position', new THREE.BufferAttribute(this.rapidPositions, 3));
+      geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
       geom.setDrawRange(0, 0);
-      const mat = new THREE.LineBasicMaterial({
-        color: 0x4488ff,
-        transparent: true,
-        opacity: 0.4
-      });
-      this.rapidLine = new THREE.LineSegments(geom, mat);
-      this.toolpathGroup.add(this.rapidLine);
-    }
 
-    if (cutCount > 0) {
-      const geom = new THREE.BufferGeometry();
-      geom.setAttribute('position', new THREE.BufferAttribute(this.cutPositions, 3));
-      geom.setDrawRange(0, 0);
-      const mat = new THREE.LineBasicMaterial({ color: 0x44dd88 });
-      this.cutLine = new THREE.LineSegments(geom, mat);
-      this.toolpathGroup.add(this.cutLine);
+      let mat;
+      let colors = null;
+      let rgb = null;
+      let distances = null;
+      if (key === 'park') {
+        distances = new Float32Array(count * 2);
+        geom.setAttribute('lineDistance', new THREE.BufferAttribute(distances, 1));
+        mat = new THREE.LineDashedMaterial({
+          color: 0x8899aa,
+          dashSize: dashSize,
+          gapSize: dashSize,
+          transparent: true,
+          opacity: 0.35
+        });
+      } else if (key === 'rapid') {
+        mat = new THREE.LineBasicMaterial({
+          color: 0x4488ff,
+          transparent: true,
+          opacity: 0.4
+        });
+      } else if (key.startsWith('alarm:')) {
+        mat = new THREE.LineBasicMaterial({ color: 0xff3344 });
+      } else if (key === 'gouge') {
+        mat = new THREE.LineBasicMaterial({ color: 0xff44ff });
+      } else if (this.shadePower) {
+        const color = this.toolColors.get(parseInt(key.slice(5), 10));
+        rgb = [(color >> 16 & 255) / 255, (color >> 8 & 255) / 255, (color & 255) / 255];
+        colors = new Float32Array(count * 6);
+        geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        mat = new THREE.LineBasicMaterial({ vertexColors: true });
+      } else {
+        mat = new THREE.LineBasicMaterial({ color: this.toolColors.get(parseInt(key.slice(5), 10)) });
+      }
+
+      const line = new THREE.LineSegments(geom, mat);
+      if (key === 'rapid') line.visible = this.travelVisible;
+      if (key === 'park') line.visible = this.parkVisible;
+      this.toolpathGroup.add(line);
+      this.layers.set(key, { line: line, positions: positions, drawCount: 0, colors: colors, rgb: rgb, distances: distances });
     }
+    this.segmentLayers = keys.map(key => this.layers.get(key));
 
     // Scale tool marker to workpiece size
     const sizeX = bounds.max.x - bounds.min.x;
@@ -261,7 +387,117 @@ class GCodeViewer {
     const markerScale = maxDim * 0.012;
     this.toolMarker.scale.set(markerScale, markerScale, markerScale);
 
-    this.fitCamera(bounds);
+    // Five-axis toolpaths: a whisker along the tool axis every few
+    // segments, revealed with them during playback
+    if (!isNaN(segments.columns.toolAxis[0])) {
+      this.whiskerStride = Math.ceil(segments.length / MAX_TOOL_AXIS_WHISKERS);
+      this.whiskerLength = maxDim * 0.05;
+      const positions = new Float32Array(Math.ceil(segments.length / this.whiskerStride) * 6);
+      const geom = new THREE.BufferGeometry();
+      geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geom.setDrawRange(0, 0);
+      const line = new THREE.LineSegments(geom, new THREE.LineBasicMaterial({
+        color: 0xffaa33,
+        transparent: true,
+        opacity: 0.6
+      }));
+      line.visible = this.toolAxesVisible;
+      this.toolpathGroup.add(line);
+      this.layers.set('axis', { line: line, positions: positions, drawCount: 0, colors: null, rgb: null });
+    }
+
+    if (this.lathe) this.addLatheScenery(segments, bounds);
+    this.fitToolpath();
+    this.setRotaryStock(this.rotaryStockDiameter);
+  }
+
+  // Translucent cylinder of the given diameter around the rotary axis,
+  // as long as the toolpath along it
+  setRotaryStock(diameter) {
+    this.rotaryStockDiameter = diameter;
+    if (this.rotaryStock) {
+      this.rotaryStock.geometry.dispose();
+      this.rotaryStock.material.dispose();
+      this.toolpathGroup.remove(this.rotaryStock);
+      this.rotaryStock = null;
+    }
+    const bounds = this.toolpathBounds;
+    if (!this.rotary || !(diameter > 0) || !bounds) return;
+
+    const axis = this.rotary.axis;
+    const length = Math.max(bounds.max[axis] - bounds.min[axis], 1);
+    const stock = new THREE.Mesh(
+      new THREE.CylinderGeometry(diameter / 2, diameter / 2, length, 64, 1, true),
+      new THREE.MeshBasicMaterial({
+        color: 0x8888aa,
+        transparent: true,
+        opacity: 0.15,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      })
+    );
+    // CylinderGeometry runs along Y
+    if (axis === 'x') stock.rotation.z = Math.PI / 2;
+    if (axis === 'z') stock.rotation.x = Math.PI / 2;
+    stock.position.set(this.rotary.origin.x, this.rotary.origin.y, this.rotary.origin.z);
+    stock.position[axis] = (bounds.min[axis] + bounds.max[axis]) / 2;
+    this.toolpathGroup.add(stock);
+    this.rotaryStock = stock;
+  }
+
+  // Spindle centerline, and the part the cuts leave as a solid of
+  // revolution: the smallest radius any cut reaches in each Z bin
+  addLatheScenery(segments, bounds) {
+    const margin = Math.max(bounds.max.z - bounds.min.z, 1) * 0.1;
+    const axisGeom = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, bounds.min.z - margin),
+      new THREE.Vector3(0, 0, bounds.max.z + margin)
+    ]);
+    const axis = new THREE.LineSegments(axisGeom, new THREE.LineDashedMaterial({
+      color: 0x888899, dashSize: margin * 0.3, gapSize: margin * 0.15
+    }));
+    axis.computeLineDistances();
+    this.toolpathGroup.add(axis);
+
+    const minZ = bounds.min.z;
+    const span = bounds.max.z - minZ;
+    if (!(span > 0)) return;
+    const radii = new Array(LATHE_SOLID_BINS + 1).fill(Infinity);
+    const p = segments.positions;
+    for (let i = 0; i < segments.length; i++) {
+      if (segments.isTravel(i)) continue;
+      const o = i * 6;
+      const first = Math.round((p[o + 2] - minZ) / span * LATHE_SOLID_BINS);
+      const last = Math.round((p[o + 5] - minZ) / span * LATHE_SOLID_BINS);
+      const steps = Math.max(Math.abs(last - first), 1);
+      for (let s = 0; s <= steps; s++) {
+        const t = s / steps;
+        const bin = Math.round(first + (last - first) * t);
+        const r = Math.abs(p[o] + (p[o + 3] - p[o]) * t);
+        if (r < radii[bin]) radii[bin] = r;
+      }
+    }
+
+    const profile = [];
+    radii.forEach((r, bin) => {
+      if (r !== Infinity) profile.push(new THREE.Vector2(r, minZ + span * bin / LATHE_SOLID_BINS));
+    });
+    if (profile.length < 2) return;
+
+    // LatheGeometry turns about its Y axis; tip it onto the spindle (Z)
+    const solid = new THREE.Mesh(
+      new THREE.LatheGeometry(profile, 64),
+      new THREE.MeshNormalMaterial({ side: THREE.DoubleSide })
+    );
+    solid.rotation.x = Math.PI / 2;
+    solid.visible = this.latheView === 'revolved';
+    this.toolpathGroup.add(solid);
+    this.latheSolid = solid;
+  }
+
+  setLatheView(view) {
+    this.latheView = view;
+    if (this.latheSolid) this.latheSolid.visible = view === 'revolved';
   }
 
   // Render all segments instantly (no animation)
@@ -273,8 +509,9 @@ class GCodeViewer {
   // Jump to showing all segments
   showAll() {
     this.pause();
+    if (!this.segments) return;
     for (let i = this.currentSegmentIndex; i < this.segments.length; i++) {
-      this.addSegmentToScene(this.segments[i]);
+      this.addSegmentToScene(i);
     }
     this.currentSegmentIndex = this.segments.length;
     this.segmentProgress = 0;
@@ -286,12 +523,13 @@ class GCodeViewer {
   }
 
   play() {
-    if (!this.segments.length) return;
+    if (!this.segments || !this.segments.length) return;
     // If at end, restart
     if (this.currentSegmentIndex >= this.segments.length) {
       this.restart();
     }
     this.playing = true;
+    this.stoppedAt = this.currentSegmentIndex;
     this.lastFrameTime = 0;
     if (this.onPlayStateChange) this.onPlayStateChange(true);
   }
@@ -308,20 +546,15 @@ class GCodeViewer {
 
   restart() {
     this.pause();
+    if (!this.segments) return;
     this.currentSegmentIndex = 0;
     this.segmentProgress = 0;
-    this.rapidDrawCount = 0;
-    this.cutDrawCount = 0;
     // Zero out position arrays
-    this.rapidPositions.fill(0);
-    this.cutPositions.fill(0);
-    if (this.rapidLine) {
-      this.rapidLine.geometry.attributes.position.needsUpdate = true;
-      this.rapidLine.geometry.setDrawRange(0, 0);
-    }
-    if (this.cutLine) {
-      this.cutLine.geometry.attributes.position.needsUpdate = true;
-      this.cutLine.geometry.setDrawRange(0, 0);
+    for (const layer of this.layers.values()) {
+      layer.drawCount = 0;
+      layer.positions.fill(0);
+      layer.line.geometry.attributes.position.needsUpdate = true;
+      layer.line.geometry.setDrawRange(0, 0);
     }
     this.toolMarker.visible = false;
     if (this.onProgress) this.onProgress(0, this.segments.length);
@@ -329,13 +562,19 @@ class GCodeViewer {
 
   // Scrub to a specific position (0-1)
   scrubTo(fraction) {
-    const targetIndex = Math.floor(fraction * this.segments.length);
+    if (!this.segments) return;
+    this.scrubToIndex(Math.floor(fraction * this.segments.length));
+  }
+
+  // Show segments up to (not including) targetIndex
+  scrubToIndex(targetIndex) {
+    if (!this.segments) return;
     if (targetIndex <= this.currentSegmentIndex) {
       // Need to restart and rebuild up to target
       this.restart();
     }
     for (let i = this.currentSegmentIndex; i < targetIndex && i < this.segments.length; i++) {
-      this.addSegmentToScene(this.segments[i]);
+      this.addSegmentToScene(i);
     }
     this.currentSegmentIndex = targetIndex;
     this.segmentProgress = 0;
@@ -346,10 +585,53 @@ class GCodeViewer {
     }
   }
 
+  // M4 laser power scales with speed: scale[i] is the speed segment i
+  // reaches over its commanded feed (CycleTimeEstimator speedRatio).
+  // Burns already drawn are redrawn with it.
+  setDynamicPower(scale) {
+    this.dynamicPower = scale;
+    if (!this.shadePower || !this.segments) return;
+    const at = this.currentSegmentIndex;
+    this.restart();
+    if (at >= this.segments.length) this.showAll();
+    else this.scrubToIndex(at);
+  }
+
   setSpeed(speed) {
     this.playbackSpeed = speed;
   }
 
+  setToolVisible(tool, visible) {
+    for (const key of ['tool:' + tool, 'alarm:' + tool]) {
+      const layer = this.layers.get(key);
+      if (layer) layer.line.visible = visible;
+    }
+  }
+
+  // Whether any cut was drawn with the spindle stopped
+  hasAlarms() {
+    return [...this.layers.keys()].some(key => key.startsWith('alarm:'));
+  }
+
+  setToolAxesVisible(visible) {
+    this.toolAxesVisible = visible;
+    const layer = this.layers.get('axis');
+    if (layer) layer.line.visible = visible;
+  }
+
+  // Rapids and other travel are ghosted by default and can be hidden
+  setTravelVisible(visible) {
+    this.travelVisible = visible;
+    const layer = this.layers.get('rapid');
+    if (layer) layer.line.visible = visible;
+  }
+
+  setParkVisible(visible) {
+    this.parkVisible = visible;
+    const layer = this.layers.get('park');
+    if (layer) layer.line.visible = visible;
+  }
+
   clearToolpath() {
     this.pause();
     while (this.toolpathGroup.children.length) {
@@ -358,13 +640,14 @@ class GCodeViewer {
       child.material?.dispose();
       this.toolpathGroup.remove(child);
     }
-    this.segments = [];
-    this.rapidLine = null;
-    this.cutLine = null;
-    this.rapidPositions = [];
-    this.cutPositions = [];
-    this.rapidDrawCount = 0;
-    this.cutDrawCount = 0;
+    this.segments = null;
+    this.latheSolid = null;
+    this.rotaryStock = null;
+    this.toolpathBounds = null;
+    this.stopIndex.clear();
+    this.segmentLayers = [];
+    this.layers.clear();
+    this.toolColors.clear();
     this.currentSegmentIndex = 0;
     this.segmentProgress = 0;
     this.toolMarker.visible = false;
@@ -393,7 +676,8 @@ class GCodeViewer {
     this.scene.add(grid);
 
     const dist = maxDim * 1.5;
-    this.camera.position.set(centerX + dist * 0.6, centerY - dist * 0.6, centerZ + dist * 0.8);
+    if (this.lathe) this.camera.position.set(centerX, centerY, centerZ + dist); // square on to the XZ plane
+    else this.camera.position.set(centerX + dist * 0.6, centerY - dist * 0.6, centerZ + dist * 0.8);
     this.controls.target.set(centerX, centerY, centerZ);
     this.controls.update();
 
@@ -403,12 +687,20 @@ class GCodeViewer {
   }
 
   resetView() {
-    if (this.toolpathGroup.children.length) {
-      const box = new THREE.Box3().setFromObject(this.toolpathGroup);
+    if (this.toolpathBounds) this.fitToolpath();
+  }
+
+  // Frame the parsed bounds, which leave out park and home moves unless
+  // asked; lathe Z runs along the screen's X
+  fitToolpath() {
+    const bounds = this.toolpathBounds;
+    if (this.lathe) {
       this.fitCamera({
-        min: { x: box.min.x, y: box.min.y, z: box.min.z },
-        max: { x: box.max.x, y: box.max.y, z: box.max.z }
+        min: { x: bounds.min.z, y: bounds.min.x, z: bounds.min.y },
+        max: { x: bounds.max.z, y: bounds.max.x, z: bounds.max.y }
       });
+    } else {
+      this.fitCamera(bounds);
     }
   }
 }
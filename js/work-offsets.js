@@ -0,0 +1,57 @@
+/**
+ * Work Offsets
+ * Work coordinate system table (G54–G59.3) and LinuxCNC .var import.
+ * Offsets are machine-frame positions of each work zero, in mm.
+ */
+
+// Coordinate systems in G10 P-number order (P1 = G54 ... P9 = G59.3)
+const WCS_CODES = [54, 55, 56, 57, 58, 59, 59.1, 59.2, 59.3];
+
+// First parameter of G54 in a LinuxCNC .var file; each system is 20 further on
+const VAR_G54_BASE = 5221;
+const VAR_SYSTEM_STRIDE = 20;
+
+function wcsName(code) {
+  return 'G' + code;
+}
+
+function createWorkOffsetTable() {
+  const table = {};
+  for (const code of WCS_CODES) {
+    table[code] = { x: 0, y: 0, z: 0 };
+  }
+  return table;
+}
+
+function copyWorkOffsetTable(table) {
+  const copy = createWorkOffsetTable();
+  for (const code of WCS_CODES) {
+    if (table && table[code]) Object.assign(copy[code], table[code]);
+  }
+  return copy;
+}
+
+// Read the G54–G59.3 X/Y/Z offsets out of a LinuxCNC parameter (.var) file.
+// Each line is "<parameter number> <value>"; unknown parameters are ignored.
+function parseVarFile(text) {
+  const values = {};
+  for (const line of text.split('\n')) {
+    const match = line.trim().match(/^(\d+)\s+(-?[\d.]+(?:e[-+]?\d+)?)/i);
+    if (match) values[parseInt(match[1], 10)] = parseFloat(match[2]);
+  }
+
+  const table = createWorkOffsetTable();
+  let found = 0;
+  WCS_CODES.forEach((code, index) => {
+    const base = VAR_G54_BASE + index * VAR_SYSTEM_STRIDE;
+    ['x', 'y', 'z'].forEach((axis, a) => {
+      if ((base + a) in values) {
+        table[code][axis] = values[base + a];
+        found++;
+      }
+    });
+  });
+
+  if (!found) throw new Error('No G54–G59.3 offsets found in file');
+  return table;
+}
@@ -1,9 +1,21 @@
-const CACHE_NAME = 'gcode-viewer-v3';
+const CACHE_NAME = 'gcode-viewer-v4';
 const ASSETS = [
   '/',
   '/index.html',
   '/css/style.css',
+  '/js/work-offsets.js',
+  '/js/tool-table.js',
+  '/js/dialects.js',
+  '/js/code-handlers.js',
+  '/js/packed-segments.js',
+  '/js/gcode-lexer.js',
+  '/js/expression.js',
+  '/js/program-flow.js',
+  '/js/kinematics.js',
+  '/js/cutter-comp.js',
   '/js/gcode-parser.js',
+  '/js/parse-worker.js',
+  '/js/cycle-time.js',
   '/js/viewer.js',
   '/js/app.js',
   '/manifest.json'
@@ -69,7 +81,8 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // App assets — network first so updates are picked up, cache fallback
+  // App assets — network first so updates are picked up, cache fallback.
+  // Pages ask for them with a ?v= version the precached copies lack.
   event.respondWith(
     fetch(event.request)
       .then(response => {
@@ -77,6 +90,6 @@ self.addEventListener('fetch', (event) => {
         caches.open(CACHE_NAME).then(cache => cache.put(event.request, clone));
         return response;
       })
-      .catch(() => caches.match(event.request))
+      .catch(() => caches.match(event.request, { ignoreSearch: true }))
   );
 });